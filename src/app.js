@@ -5,6 +5,8 @@ const logger = require("./utils/logger");
 const { errorHandler, notFoundHandler } = require("./middleware/errorHandler");
 const { apiLimiter } = require("./middleware/rateLimiter");
 const extractRoutes = require("./routes/extract");
+const { getPoolStats } = require("./services/ocrWorkerPool");
+const { checkLanguageData } = require("./services/languageDataService");
 
 const app = express();
 
@@ -41,7 +43,12 @@ app.get("/", (req, res) => {
     status: "running",
     endpoints: {
       extract: "POST /api/extract",
+      batch: "POST /api/extract/batch",
+      jobs: "POST /api/extract/jobs, GET|DELETE /api/extract/jobs/:id",
+      webhookDeadLetters: "GET /api/extract/webhooks/dead-letter",
+      rules: "GET /api/extract/rules, POST /api/extract/rules/reload",
       health: "GET /api/extract/health",
+      ready: "GET /health/ready",
     },
   });
 });
@@ -53,6 +60,32 @@ app.get("/health", (req, res) => {
   });
 });
 
+// Readiness: only ok once ocr can actually run (workers up, language data on disk)
+app.get("/health/ready", (req, res) => {
+  const languageData = checkLanguageData();
+  const pool = getPoolStats();
+  const ready = languageData.ok && pool.ready;
+
+  res.status(ready ? 200 : 503).json({
+    status: ready ? "ready" : "not_ready",
+    checks: {
+      language_data: {
+        ok: languageData.ok,
+        languages: languageData.languages,
+        missing: languageData.missing,
+      },
+      ocr_workers: {
+        ok: pool.ready,
+        size: pool.size,
+        busy: pool.busy,
+        queued: pool.queued,
+        ...(pool.error && { error: pool.error }),
+      },
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
 // API Routes
 app.use("/api/extract", extractRoutes);
 
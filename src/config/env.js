@@ -1,4 +1,20 @@
 require("dotenv").config();
+const path = require("path");
+
+const defaultTessdataDir = path.join(__dirname, "..", "..", "tessdata");
+
+// "key=value,other=value" as an object
+const parsePairs = (value) =>
+  Object.fromEntries(
+    (value || "")
+      .split(",")
+      .map((entry) => entry.trim())
+      .filter((entry) => entry.includes("="))
+      .map((entry) => {
+        const split = entry.indexOf("=");
+        return [entry.slice(0, split).trim(), entry.slice(split + 1).trim()];
+      })
+  );
 
 const config = {
   // Server Configuration
@@ -18,6 +34,102 @@ const config = {
 
   // OCR Thresholds
   minOcrConfidence: parseFloat(process.env.MIN_OCR_CONFIDENCE) || 0.5,
+  // passes per image when confidence is low (1 disables the fallback passes)
+  ocrMaxPasses: parseInt(process.env.OCR_MAX_PASSES) || 3,
+  // amount crops re-read with a digit whitelist when every pass is too noisy (0 disables)
+  ocrMaxAmountCrops: parseInt(process.env.OCR_MAX_AMOUNT_CROPS ?? "10", 10),
+  // Amount Parsing
+  // indian (1,23,456.00), western (123,456.00), european (123.456,00) or auto to detect per document
+  numberFormat: process.env.NUMBER_FORMAT || "auto",
+  defaultNumberFormat: process.env.DEFAULT_NUMBER_FORMAT || "indian", // when detection can't tell
+  maxAmount: parseFloat(process.env.MAX_AMOUNT) || 10000000, // larger values are treated as misreads
+  // iso 4217 code reported (with low confidence) when a document shows no currency at all
+  defaultCurrency: (process.env.DEFAULT_CURRENCY || "INR").toUpperCase(),
+  // amounts whose combined confidence is below this are flagged needs_review
+  amountReviewThreshold: parseFloat(process.env.AMOUNT_REVIEW_THRESHOLD) || 0.6,
+
+  // Classification Rule Packs (yaml / json files, reloaded when they change)
+  rulesPath: process.env.RULES_PATH || path.join(__dirname, "..", "..", "rules"),
+  rulesDefaultPack: process.env.RULES_DEFAULT_PACK || "default",
+  rulesWatch: process.env.RULES_WATCH !== "false",
+
+  // OCR Language Data (must exist locally, nothing is downloaded at runtime)
+  // tesseract format, e.g. eng+hin, every worker loads all of them and requests pick from these
+  ocrLanguages: process.env.OCR_LANGUAGES || "eng",
+  ocrLangPath: process.env.OCR_LANG_PATH || defaultTessdataDir,
+  ocrCachePath:
+    process.env.OCR_CACHE_PATH || process.env.OCR_LANG_PATH || defaultTessdataDir,
+
+  // OCR Worker Pool
+  ocrPoolSize: parseInt(process.env.OCR_POOL_SIZE) || 2,
+  ocrQueueMax: parseInt(process.env.OCR_QUEUE_MAX) || 20, // jobs waiting for a worker
+
+  // Time Budgets (ms) - the whole document, and each stage within it
+  requestTimeoutMs: parseInt(process.env.REQUEST_TIMEOUT_MS) || 60000,
+  stageTimeoutsMs: {
+    quality_check: parseInt(process.env.QUALITY_CHECK_TIMEOUT_MS) || 5000,
+    pdf_loading: parseInt(process.env.PDF_LOAD_TIMEOUT_MS) || 20000, // parse + render every page
+    preprocessing: parseInt(process.env.PREPROCESS_TIMEOUT_MS) || 10000,
+    ocr: parseInt(process.env.OCR_TIMEOUT_MS) || 30000, // one tesseract call
+  },
+
+  // Image Preprocessing (comma separated steps, "none" disables)
+  preprocessSteps:
+    process.env.OCR_PREPROCESS_STEPS ||
+    "orientation,grayscale,upscale,deskew,denoise,threshold",
+  preprocessMinWidth: parseInt(process.env.OCR_PREPROCESS_MIN_WIDTH) || 1200, // px, smaller images get upscaled
+  preprocessMaxSkewDegrees: parseFloat(process.env.OCR_PREPROCESS_MAX_SKEW) || 10,
+  preprocessThresholdBias: parseFloat(process.env.OCR_PREPROCESS_THRESHOLD_BIAS) || 0.15,
+
+  // Image Quality Check (runs before OCR on photo uploads)
+  qualityCheckEnabled: process.env.QUALITY_CHECK_ENABLED !== "false",
+  qualityMinSharpness: parseFloat(process.env.QUALITY_MIN_SHARPNESS) || 100, // laplacian variance
+  qualityMinResolution: parseInt(process.env.QUALITY_MIN_RESOLUTION) || 500, // px, shorter side
+  qualityMinDpi: parseInt(process.env.QUALITY_MIN_DPI) || 100,
+  qualityMinBrightness: parseInt(process.env.QUALITY_MIN_BRIGHTNESS) || 60, // 0-255
+  qualityMaxBrightness: parseInt(process.env.QUALITY_MAX_BRIGHTNESS) || 240,
+  qualityMaxGlare: parseFloat(process.env.QUALITY_MAX_GLARE) || 0.05, // share of clipped pixels
+  // reasons that stop the request, the rest are returned as warnings next to the result
+  qualityRejectReasons: (
+    process.env.QUALITY_REJECT_REASONS ||
+    "too_blurry,resolution_too_low,too_dark,too_bright"
+  ).split(","),
+
+  // PDF Processing
+  maxPdfPages: parseInt(process.env.MAX_PDF_PAGES) || 20,
+  pdfRenderScale: parseFloat(process.env.PDF_RENDER_SCALE) || 2, // 2x = ~144 DPI
+  pdfMinTextLayerChars: parseInt(process.env.PDF_MIN_TEXT_LAYER_CHARS) || 20,
+
+  // Batch Extraction
+  batchMaxDocuments: parseInt(process.env.BATCH_MAX_DOCUMENTS) || 20,
+  batchConcurrency: parseInt(process.env.BATCH_CONCURRENCY) || 2, // documents in flight per batch
+
+  // Async Extraction Jobs (in-process queue, results are lost on restart)
+  jobConcurrency: parseInt(process.env.JOB_CONCURRENCY) || 2,
+  jobQueueMax: parseInt(process.env.JOB_QUEUE_MAX) || 100,
+  jobRetentionMs:
+    (parseInt(process.env.JOB_RETENTION_MINUTES) || 60) * 60 * 1000, // finished jobs kept this long
+
+  // Webhook Callbacks (job results are POSTed, signed with the secret)
+  webhookSecret: process.env.WEBHOOK_SECRET || "",
+  // default callback per API client, "client-id=https://...,other=https://..."
+  webhookClients: parsePairs(process.env.WEBHOOK_CLIENTS),
+  // the token each client sends in X-Client-Token to use its callback, "client-id=token,..."
+  webhookClientTokens: parsePairs(process.env.WEBHOOK_CLIENT_TOKENS),
+  webhookMaxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+  webhookRetryBaseMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 1000, // doubles after each failure
+  webhookTimeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 5000,
+  webhookDeadLetterPath:
+    process.env.WEBHOOK_DEAD_LETTER_PATH ||
+    path.join(__dirname, "..", "..", "data", "webhook-dead-letter.jsonl"),
+  // callback_url hosts allowed, "hooks.example.com,*.example.in" (empty allows any public host)
+  webhookAllowedHosts: (process.env.WEBHOOK_ALLOWED_HOSTS || "")
+    .split(",")
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean),
+
+  // Operator Endpoints (webhook dead letters, rule reloads), sent in X-Operator-Token
+  operatorToken: process.env.OPERATOR_TOKEN || "",
 };
 
 module.exports = config;
@@ -2,20 +2,52 @@ const {
   validateText,
   validateFile,
   validateInput,
+  validateLayout,
 } = require("../utils/validateInput");
 const {
-  extractTextFromImage,
+  extractTextFromFile,
   extractTextFromString,
 } = require("../services/ocrService");
 const {
   normalizeAmounts,
   validateNormalizedAmounts,
 } = require("../services/normalizationService");
+const { classifyAmounts } = require("../services/classificationService");
+const { locateAmount } = require("../services/provenanceService");
+const { scoreAmounts } = require("../services/confidenceService");
+const { extractLineItems } = require("../services/lineItemService");
+const { extractTaxBreakdown } = require("../services/taxService");
+const { extractMetadata } = require("../services/metadataService");
+const { reconcileAmounts } = require("../services/reconciliationService");
+const { parseNumber } = require("../services/numberFormatService");
 const {
-  classifyAmounts,
-  validateClassification,
-} = require("../services/classificationService");
+  detectCurrency,
+  currencyOfAmount,
+} = require("../services/currencyService");
+const {
+  runExtraction,
+  validateExtractionInput,
+  getOcrOptions,
+  getReviewThreshold,
+  getNumberFormat,
+  getRulePack,
+  getExplain,
+  getDocumentType,
+  selectReturnedAmounts,
+} = require("../services/extractionService");
+const {
+  detectDocumentType,
+  profileFor,
+  packForType,
+  describeDocumentType,
+} = require("../services/documentTypeService");
+const { runBatch } = require("../services/batchService");
+const { createBudget } = require("../services/budgetService");
+const { createTrace } = require("../services/traceService");
+const { describeRulePack } = require("../services/ruleService");
+const config = require("../config/env");
 const logger = require("../utils/logger");
+const { wantsEventStream, openEventStream } = require("../utils/sse");
 const { AppError } = require("../middleware/errorHandler");
 
 // step 1: pull out numbers from text or image
@@ -38,6 +70,12 @@ const step1_extractRawTokens = async (req, res) => {
       throw new AppError(inputValidation.error, 400, "invalid_input");
     }
 
+    // which numbers were kept as tokens and why the others weren't, when asked
+    const trace = createTrace({ enabled: getExplain(req.body) });
+    const explain = trace.enabled ? { explain: trace.report() } : {};
+    const rulePack = getRulePack(req.body);
+    const documentType = getDocumentType(req.body, rulePack);
+
     // Extract text
     let ocrResult;
     if (file) {
@@ -45,13 +83,26 @@ const step1_extractRawTokens = async (req, res) => {
       if (!fileValidation.success) {
         throw new AppError(fileValidation.error, 400, "invalid_file");
       }
-      ocrResult = await extractTextFromImage(file.buffer, requestId);
+      const budget = createBudget({ signal: req.signal });
+      try {
+        ocrResult = await extractTextFromFile(file, requestId, {
+          ...getOcrOptions(req.body),
+          budget,
+          trace,
+        });
+      } finally {
+        budget.finish();
+        logger.info("Step 1: time budget used", { requestId, ...budget.usage() });
+      }
     } else {
       const textValidation = validateText(text);
       if (!textValidation.success) {
         throw new AppError(textValidation.error, 400, "invalid_text");
       }
-      ocrResult = await extractTextFromString(text, requestId);
+      ocrResult = await extractTextFromString(text, requestId, {
+        ...getOcrOptions(req.body),
+        trace,
+      });
     }
 
     // Check guardrails
@@ -59,6 +110,10 @@ const step1_extractRawTokens = async (req, res) => {
       return res.status(200).json({
         status: "no_amounts_found",
         reason: ocrResult.reason,
+        ...(ocrResult.excluded_numbers && {
+          excluded_numbers: ocrResult.excluded_numbers,
+        }),
+        ...explain,
       });
     }
 
@@ -67,16 +122,79 @@ const step1_extractRawTokens = async (req, res) => {
         status: "low_confidence",
         reason: ocrResult.reason,
         confidence: ocrResult.confidence,
+        ...(ocrResult.quality_warnings && {
+          quality_warnings: ocrResult.quality_warnings,
+        }),
+        ...explain,
+      });
+    }
+
+    if (ocrResult.status === "poor_image_quality") {
+      return res.status(200).json({
+        status: "poor_image_quality",
+        reason: ocrResult.reason,
+        reasons: ocrResult.reasons,
+        quality: ocrResult.quality,
       });
     }
 
     // Step 1 Output
     const response = {
       raw_tokens: ocrResult.raw_tokens,
+      excluded_numbers: ocrResult.excluded_numbers,
       currency_hint: ocrResult.currency_hint,
+      currency_confidence: ocrResult.currency_confidence,
+      currencies: ocrResult.currencies,
+      // pass on to steps 2 and 3 so they read the tokens the same way
+      number_format: ocrResult.number_format,
+      languages: ocrResult.languages,
+      // pharmacy bill, opd receipt, ... step 3 detects it again from raw_text
+      document_type: detectDocumentType(
+        ocrResult.raw_text,
+        rulePack,
+        requestId,
+        { requested: documentType, trace }
+      ),
       confidence: ocrResult.confidence,
     };
 
+    if (ocrResult.quality_warnings) {
+      response.quality_warnings = ocrResult.quality_warnings;
+    }
+
+    // report which image transforms ran so their effect can be compared
+    if (ocrResult.preprocessing) {
+      response.preprocessing = ocrResult.preprocessing;
+    }
+
+    // fallback passes and re-read amounts when the first pass scored low
+    if (ocrResult.multi_pass) {
+      response.multi_pass = ocrResult.multi_pass;
+    }
+
+    // pdf uploads also report how each page was read
+    if (ocrResult.pages) {
+      response.pages = ocrResult.pages.map(
+        ({ page, method, confidence, preprocessing, multi_pass }) => ({
+          page,
+          method,
+          confidence,
+          ...(preprocessing && { preprocessing }),
+          ...(multi_pass && { multi_pass }),
+        })
+      );
+    }
+
+    // word boxes for every line, pass to step 4 to get boxes on the amounts
+    if (ocrResult.layout) {
+      response.layout = ocrResult.layout;
+    }
+
+    // every number found, the rule that kept it or why it was dropped
+    if (trace.enabled) {
+      response.explain = trace.report();
+    }
+
     logger.info("Step 1: Raw token extraction complete", { requestId });
     return res.status(200).json(response);
   } catch (error) {
@@ -106,7 +224,16 @@ const step2_normalizeAmounts = async (req, res) => {
       tokenCount: raw_tokens.length,
     });
 
-    const normalizationResult = normalizeAmounts(raw_tokens, requestId);
+    // tokens keep their separators, read them in the format step 1 reported
+    const numberFormat = getNumberFormat(req.body) || "auto";
+    const trace = createTrace({ enabled: getExplain(req.body) });
+    const explain = trace.enabled ? { explain: trace.report() } : {};
+    const normalizationResult = normalizeAmounts(
+      raw_tokens,
+      requestId,
+      numberFormat,
+      trace
+    );
 
     // Validate normalized amounts
     const validationResult = validateNormalizedAmounts(
@@ -116,6 +243,7 @@ const step2_normalizeAmounts = async (req, res) => {
       return res.status(200).json({
         status: "invalid_amounts",
         reason: validationResult.reason,
+        ...explain,
       });
     }
 
@@ -123,6 +251,8 @@ const step2_normalizeAmounts = async (req, res) => {
     const response = {
       normalized_amounts: normalizationResult.normalized_amounts,
       normalization_confidence: normalizationResult.normalization_confidence,
+      percentages: normalizationResult.percentages,
+      ...explain,
     };
 
     logger.info("Step 2: Normalization complete", { requestId });
@@ -139,7 +269,7 @@ const step3_classifyAmounts = async (req, res) => {
   const requestId = req.id;
 
   try {
-    const { normalized_amounts, raw_text } = req.body;
+    const { normalized_amounts, raw_text, layout } = req.body;
 
     if (!normalized_amounts || !Array.isArray(normalized_amounts)) {
       throw new AppError(
@@ -157,30 +287,92 @@ const step3_classifyAmounts = async (req, res) => {
       );
     }
 
+    // optional, lets labels in other columns or on the row above be matched
+    const layoutValidation = validateLayout(layout);
+    if (!layoutValidation.success) {
+      throw new AppError(layoutValidation.error, 400, "invalid_input");
+    }
+
     logger.info("Step 3: Starting classification", {
       requestId,
       amountCount: normalized_amounts.length,
     });
 
+    const numberFormat = getNumberFormat(req.body) || "auto";
+    const rulePack = getRulePack(req.body);
+    const trace = createTrace({ enabled: getExplain(req.body) });
+    const detected = detectDocumentType(raw_text, rulePack, requestId, {
+      requested: getDocumentType(req.body, rulePack),
+      trace,
+    });
+    const profile = profileFor(rulePack, detected.type);
     const classificationResult = classifyAmounts(
       raw_text,
       normalized_amounts,
-      requestId
+      requestId,
+      numberFormat,
+      packForType(rulePack, detected.type),
+      layout,
+      trace
     );
 
-    // Filter only total_bill, paid, and due
-    const allowedTypes = ["total_bill", "paid", "due"];
-    const filteredAmounts = classificationResult.amounts
-      .filter((amount) => allowedTypes.includes(amount.type))
-      .map((amount) => ({
-        type: amount.type,
-        value: amount.value,
-      }));
+    const metadata = extractMetadata({ layout, text: raw_text }, requestId);
+
+    // the types the document type returns, total_bill, paid and due for bills
+    const currencyContext = {
+      text: raw_text,
+      document: detectCurrency(raw_text),
+      parse: (number) => parseNumber(number, numberFormat),
+    };
+    const filteredAmounts = selectReturnedAmounts(
+      classificationResult.amounts,
+      trace,
+      profile.returnedTypes
+    ).map((amount) => ({
+      type: amount.type,
+      value: amount.value,
+      ...currencyOfAmount(amount, currencyContext),
+      confidence: amount.confidence,
+    }));
+
+    // every classified type takes part, subtotal and tax included
+    const lineItems = extractLineItems(
+      { layout, text: raw_text, numberFormat },
+      requestId
+    );
+    const taxBreakdown = extractTaxBreakdown(
+      {
+        layout,
+        text: raw_text,
+        numberFormat,
+        amounts: classificationResult.amounts,
+        lineItems: lineItems.items,
+      },
+      requestId
+    );
+    const reconciliation = reconcileAmounts(
+      {
+        amounts: classificationResult.amounts,
+        lineItems: lineItems.items,
+        taxBreakdown,
+      },
+      requestId
+    );
 
     // Step 3 Output
     const response = {
       amounts: filteredAmounts,
       confidence: classificationResult.confidence,
+      document_type: describeDocumentType(detected, profile, {
+        metadata,
+        amounts: classificationResult.amounts,
+      }),
+      metadata,
+      tax_breakdown: taxBreakdown.taxes,
+      discounts: taxBreakdown.discounts,
+      reconciliation,
+      rule_pack: describeRulePack(rulePack),
+      ...(trace.enabled && { explain: trace.report() }),
     };
 
     logger.info("Step 3: Classification complete", { requestId });
@@ -197,7 +389,15 @@ const step4_finalOutput = async (req, res) => {
   const requestId = req.id;
 
   try {
-    const { currency_hint, amounts, raw_text } = req.body;
+    const {
+      currency_hint,
+      currency_confidence,
+      amounts,
+      raw_text,
+      layout,
+      confidence,
+    } = req.body;
+    const reviewThreshold = getReviewThreshold(req.body);
 
     if (!currency_hint) {
       throw new AppError("currency_hint is required", 400, "invalid_input");
@@ -219,11 +419,24 @@ const step4_finalOutput = async (req, res) => {
       );
     }
 
+    const layoutValidation = validateLayout(layout);
+    if (!layoutValidation.success) {
+      throw new AppError(layoutValidation.error, 400, "invalid_input");
+    }
+
     logger.info("Step 4: Building final output", {
       requestId,
       amountCount: amounts.length,
     });
 
+    // amounts from step 3 carry their currency, others are read from raw_text
+    const currencyContext = {
+      text: raw_text,
+      document: detectCurrency(raw_text),
+      parse: (number) =>
+        parseNumber(number, getNumberFormat(req.body) || "auto"),
+    };
+
     // Add source provenance to each amount
     const amountsWithSource = amounts.map((amount) => {
       // Find the source line in raw text
@@ -237,20 +450,48 @@ const step4_finalOutput = async (req, res) => {
         }
       }
 
+      const source = sourceLine
+        ? `text: '${sourceLine}'`
+        : "text: (context not found)";
+
       return {
         type: amount.type,
         value: amount.value,
-        source: sourceLine
-          ? `text: '${sourceLine}'`
-          : "text: (context not found)",
+        ...(typeof amount.currency === "string"
+          ? {
+              currency: amount.currency,
+              currency_confidence: amount.currency_confidence,
+            }
+          : currencyOfAmount(amount, currencyContext)),
+        source,
+        // classification confidence from step 3, folded into the combined score below
+        ...(typeof amount.confidence === "number" && {
+          confidence: amount.confidence,
+        }),
+        // boxes only when step 1 ran on an image or pdf
+        ...(layout && locateAmount({ ...amount, source }, layout)),
       };
     });
 
+    const threshold =
+      reviewThreshold !== null ? reviewThreshold : config.amountReviewThreshold;
+    const scoredAmounts = scoreAmounts(
+      amountsWithSource,
+      {
+        layout,
+        documentConfidence: typeof confidence === "number" ? confidence : 1,
+      },
+      threshold
+    );
+
     // Step 4 Output
     const response = {
       currency: currency_hint,
-      amounts: amountsWithSource,
+      // passed on from step 1
+      ...(typeof currency_confidence === "number" && { currency_confidence }),
+      amounts: scoredAmounts,
       status: "ok",
+      review_threshold: threshold,
     };
 
     logger.info("Step 4: Final output complete", { requestId });
@@ -277,108 +518,15 @@ const extractAndProcess = async (req, res) => {
       fileType: file?.mimetype,
     });
 
-    // Validate that at least one input is provided
-    const inputValidation = validateInput(text, file);
-    if (!inputValidation.success) {
-      throw new AppError(inputValidation.error, 400, "invalid_input");
+    if (wantsEventStream(req)) {
+      return streamExtraction(req, res);
     }
 
-    // step 1: extract text and numbers
-    let ocrResult;
-
-    if (file) {
-      // Validate file
-      const fileValidation = validateFile(file);
-      if (!fileValidation.success) {
-        throw new AppError(fileValidation.error, 400, "invalid_file");
-      }
-
-      // Extract text from image
-      ocrResult = await extractTextFromImage(file.buffer, requestId);
-    } else {
-      // Validate text
-      const textValidation = validateText(text);
-      if (!textValidation.success) {
-        throw new AppError(textValidation.error, 400, "invalid_text");
-      }
-
-      // Process text directly
-      ocrResult = await extractTextFromString(text, requestId);
-    }
-
-    // Check for guardrail conditions
-    if (ocrResult.status === "no_amounts_found") {
-      return res.status(200).json({
-        status: "no_amounts_found",
-        reason: ocrResult.reason,
-      });
-    }
-
-    if (ocrResult.status === "low_confidence") {
-      return res.status(200).json({
-        status: "low_confidence",
-        reason: ocrResult.reason,
-        confidence: ocrResult.confidence,
-      });
-    }
-
-    // step 2: fix ocr errors
-    const normalizationResult = normalizeAmounts(
-      ocrResult.raw_tokens,
-      requestId
-    );
-
-    // Validate normalized amounts
-    const validationResult = validateNormalizedAmounts(
-      normalizationResult.normalized_amounts
-    );
-    if (!validationResult.valid) {
-      return res.status(200).json({
-        status: "invalid_amounts",
-        reason: validationResult.reason,
-      });
-    }
-
-    // step 3: classify amounts
-    const classificationResult = classifyAmounts(
-      ocrResult.raw_text,
-      normalizationResult.normalized_amounts,
-      requestId
-    );
-
-    // Validate classification consistency
-    const classificationValidation = validateClassification(
-      classificationResult.amounts
-    );
-    if (!classificationValidation.valid) {
-      logger.warn("Classification validation warnings", {
-        requestId,
-        warnings: classificationValidation.warnings,
-      });
-    }
-
-    // step 4: filter to only show total_bill, paid, due
-    const allowedTypes = ["total_bill", "paid", "due"];
-    const filteredAmounts = classificationResult.amounts
-      .filter((amount) => allowedTypes.includes(amount.type))
-      .map((amount) => ({
-        type: amount.type,
-        value: amount.value,
-        source: amount.source,
-      }));
-
-    const response = {
-      currency: ocrResult.currency_hint,
-      amounts: filteredAmounts,
-      status: "ok",
-    };
-
-    logger.info("Extraction pipeline completed successfully", {
+    const response = await runExtraction(
+      { text, file, body: req.body },
       requestId,
-      amountsExtracted: filteredAmounts.length,
-      status: "ok",
-    });
-
+      { signal: req.signal }
+    );
     return res.status(200).json(response);
   } catch (error) {
     logger.error("Extraction pipeline failed", {
@@ -399,6 +547,72 @@ const extractAndProcess = async (req, res) => {
   }
 };
 
+// same pipeline, but stage updates are streamed as server-sent events and the
+// body /api/extract would have returned arrives as the final "result" event
+const streamExtraction = async (req, res) => {
+  const requestId = req.id;
+  const input = { text: req.body.text, file: req.file, body: req.body };
+
+  // bad input still gets a plain 400 before the stream is opened
+  validateExtractionInput(input);
+
+  const stream = openEventStream(res);
+  try {
+    const response = await runExtraction(input, requestId, {
+      onProgress: (event) => stream.send("progress", event),
+      signal: req.signal,
+    });
+    stream.send("result", response);
+  } catch (error) {
+    logger.error("Streamed extraction failed", {
+      requestId,
+      error: error.message,
+      stack: error.stack,
+    });
+    // headers are already sent, so the error goes out as an event
+    stream.send("error", {
+      status: "error",
+      error_code: error.errorCode || "processing_failed",
+      message: error.isOperational
+        ? error.message
+        : "Failed to process the request",
+    });
+  } finally {
+    stream.close();
+  }
+};
+
+// batch: many files and/or text entries, one result per document
+const extractBatch = async (req, res) => {
+  const requestId = req.id;
+  const files = req.files || [];
+  // repeated form fields arrive as an array, a single one as a string
+  const texts = [].concat(req.body.texts || []).filter((t) => t !== "");
+
+  logger.info("Received batch extraction request", {
+    requestId,
+    files: files.length,
+    texts: texts.length,
+  });
+
+  const documents = [
+    ...files.map((file) => ({ file })),
+    ...texts.map((text) => ({ text: String(text) })),
+  ];
+  const { summary, documents: results } = await runBatch(
+    documents,
+    req.body,
+    requestId,
+    { signal: req.signal }
+  );
+
+  return res.status(200).json({
+    status: "ok",
+    summary,
+    documents: results,
+  });
+};
+
 // simple health check endpoint
 const healthCheck = (req, res) => {
   res.status(200).json({
@@ -414,5 +628,6 @@ module.exports = {
   step3_classifyAmounts,
   step4_finalOutput,
   extractAndProcess,
+  extractBatch,
   healthCheck,
 };
@@ -0,0 +1,60 @@
+const { createJob, getJob, cancelJob } = require("../services/jobService");
+const {
+  resolveCallbackUrl,
+  getDeadLetters,
+} = require("../services/webhookService");
+const logger = require("../utils/logger");
+
+// queue an extraction, same inputs as POST /api/extract
+const submitJob = async (req, res) => {
+  const requestId = req.id;
+  const { text } = req.body;
+  const file = req.file;
+
+  logger.info("Received extraction job", {
+    requestId,
+    hasText: !!text,
+    hasFile: !!file,
+    fileType: file?.mimetype,
+  });
+
+  // per-request callback_url wins over the client's registered one
+  const callbackUrl = resolveCallbackUrl(req.body.callback_url, {
+    id: req.get("x-client-id"),
+    token: req.get("x-client-token"),
+  });
+
+  const job = createJob({ text, file, body: req.body }, requestId, {
+    callbackUrl,
+  });
+
+  res.setHeader("Location", `${req.baseUrl}/jobs/${job.job_id}`);
+  return res.status(202).json(job);
+};
+
+// job status, includes the result once completed
+const getJobStatus = async (req, res) => {
+  return res.status(200).json(getJob(req.params.id));
+};
+
+// cancel a queued or running job
+const cancelJobRequest = async (req, res) => {
+  logger.info("Cancelling extraction job", {
+    requestId: req.id,
+    jobId: req.params.id,
+  });
+  return res.status(200).json(cancelJob(req.params.id));
+};
+
+// webhook deliveries that failed every attempt, newest first, without their payloads
+const listDeadLetters = async (req, res) => {
+  const deadLetters = getDeadLetters();
+  return res.status(200).json({ count: deadLetters.length, dead_letters: deadLetters });
+};
+
+module.exports = {
+  submitJob,
+  getJobStatus,
+  cancelJobRequest,
+  listDeadLetters,
+};
@@ -0,0 +1,21 @@
+const {
+  listRulePacks,
+  reloadRulePacks,
+} = require("../services/ruleService");
+const logger = require("../utils/logger");
+
+// rule packs in use, with their versions and how the last reload went
+const listRules = async (req, res) => {
+  return res.status(200).json(listRulePacks());
+};
+
+// re-read the rule packs now, an invalid pack fails with 422 and changes nothing
+const reloadRules = async (req, res) => {
+  logger.info("Reloading rule packs", { requestId: req.id });
+  return res.status(200).json(reloadRulePacks());
+};
+
+module.exports = {
+  listRules,
+  reloadRules,
+};
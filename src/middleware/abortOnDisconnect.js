@@ -0,0 +1,26 @@
+const logger = require("../utils/logger");
+const { AppError } = require("./errorHandler");
+
+// req.signal aborts when the client goes away before getting its answer,
+// so the ocr still running for it can be stopped and its worker freed
+const abortOnDisconnect = (req, res, next) => {
+  const controller = new AbortController();
+
+  res.on("close", () => {
+    if (res.writableEnded) return;
+    logger.warn("Client closed the connection, aborting work", {
+      requestId: req.id,
+      path: req.path,
+    });
+    controller.abort(
+      new AppError("Client closed the connection", 499, "client_closed_request")
+    );
+  });
+
+  req.signal = controller.signal;
+  next();
+};
+
+module.exports = {
+  abortOnDisconnect,
+};
@@ -24,7 +24,15 @@ const apiLimiter = rateLimit({
   },
   skip: (req) => {
     // Skip rate limiting for health check endpoints
-    return req.path === "/health" || req.path === "/";
+    if (
+      req.path === "/health" ||
+      req.path === "/health/ready" ||
+      req.path === "/"
+    ) {
+      return true;
+    }
+    // job status polls are cheap map lookups, clients poll them often
+    return req.method === "GET" && req.path.startsWith("/api/extract/jobs/");
   },
 });
 
@@ -0,0 +1,42 @@
+const crypto = require("crypto");
+const config = require("../config/env");
+const { AppError } = require("./errorHandler");
+
+const digest = (value) => crypto.createHash("sha256").update(value).digest();
+
+/**
+ * Whether a token sent by a caller is the expected one. Compares digests, equal
+ * length and constant time whatever was sent
+ * @param {string|undefined} sent
+ * @param {string} expected - Never matches when empty
+ * @returns {boolean}
+ */
+const tokensMatch = (sent, expected) =>
+  Boolean(expected) &&
+  crypto.timingSafeEqual(digest(sent || ""), digest(expected));
+
+// operator endpoints (webhook dead letters, rule reloads) need the X-Operator-Token header
+// to match OPERATOR_TOKEN, and are off altogether while it isn't set
+const requireOperator = (req, res, next) => {
+  if (!config.operatorToken) {
+    return next(
+      new AppError(
+        "Operator endpoints are disabled on this server (OPERATOR_TOKEN missing)",
+        403,
+        "operator_disabled"
+      )
+    );
+  }
+
+  if (!tokensMatch(req.get("X-Operator-Token"), config.operatorToken)) {
+    return next(
+      new AppError("Missing or wrong X-Operator-Token", 401, "unauthorized")
+    );
+  }
+  next();
+};
+
+module.exports = {
+  requireOperator,
+  tokensMatch,
+};
@@ -6,10 +6,20 @@ const {
   step3_classifyAmounts,
   step4_finalOutput,
   extractAndProcess,
+  extractBatch,
   healthCheck,
 } = require("../controllers/extractController");
-const { asyncHandler } = require("../middleware/errorHandler");
+const {
+  submitJob,
+  getJobStatus,
+  cancelJobRequest,
+  listDeadLetters,
+} = require("../controllers/jobController");
+const { listRules, reloadRules } = require("../controllers/ruleController");
+const { asyncHandler, AppError } = require("../middleware/errorHandler");
 const { uploadLimiter, apiLimiter } = require("../middleware/rateLimiter");
+const { abortOnDisconnect } = require("../middleware/abortOnDisconnect");
+const { requireOperator } = require("../middleware/requireOperator");
 const config = require("../config/env");
 
 const router = express.Router();
@@ -36,11 +46,44 @@ const upload = multer({
   },
 });
 
+// batches check each file's type themselves, so one wrong file doesn't reject the rest
+const batchUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: config.maxFileSizeMB * 1024 * 1024,
+    files: config.batchMaxDocuments,
+  },
+}).array("files", config.batchMaxDocuments);
+
+// turn multer limit errors into proper 400s
+const batchFiles = (req, res, next) =>
+  batchUpload(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      const tooMany =
+        err.code === "LIMIT_FILE_COUNT" || err.code === "LIMIT_UNEXPECTED_FILE";
+      return next(
+        tooMany
+          ? new AppError(
+              `Upload at most ${config.batchMaxDocuments} files in the "files" field`,
+              400,
+              "too_many_documents"
+            )
+          : new AppError(
+              `File size exceeds ${config.maxFileSizeMB}MB limit`,
+              400,
+              "file_too_large"
+            )
+      );
+    }
+    next(err);
+  });
+
 // main endpoint - runs full pipeline
 router.post(
   "/",
   uploadLimiter,
   upload.single("file"),
+  abortOnDisconnect,
   asyncHandler(extractAndProcess)
 );
 
@@ -49,6 +92,7 @@ router.post(
   "/step1",
   uploadLimiter,
   upload.single("file"),
+  abortOnDisconnect,
   asyncHandler(step1_extractRawTokens)
 );
 
@@ -61,6 +105,43 @@ router.post("/step3", apiLimiter, asyncHandler(step3_classifyAmounts));
 // step 4: add sources and package final output
 router.post("/step4", apiLimiter, asyncHandler(step4_finalOutput));
 
+// batch: files and/or text entries in one request, one result each
+router.post(
+  "/batch",
+  uploadLimiter,
+  batchFiles,
+  abortOnDisconnect,
+  asyncHandler(extractBatch)
+);
+
+// async jobs: submit returns a job id right away, poll for the result
+router.post(
+  "/jobs",
+  uploadLimiter,
+  upload.single("file"),
+  asyncHandler(submitJob)
+);
+router.get("/jobs/:id", asyncHandler(getJobStatus));
+router.delete("/jobs/:id", apiLimiter, asyncHandler(cancelJobRequest));
+
+// job webhooks that never got through, operators only
+router.get(
+  "/webhooks/dead-letter",
+  apiLimiter,
+  requireOperator,
+  asyncHandler(listDeadLetters)
+);
+
+// classification rule packs: versions in use, and reloading them without a restart
+// (operators only)
+router.get("/rules", apiLimiter, asyncHandler(listRules));
+router.post(
+  "/rules/reload",
+  apiLimiter,
+  requireOperator,
+  asyncHandler(reloadRules)
+);
+
 // health check
 router.get("/health", healthCheck);
 
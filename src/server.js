@@ -1,18 +1,67 @@
 const app = require("./app");
 const config = require("./config/env");
 const logger = require("./utils/logger");
+const {
+  initWorkerPool,
+  shutdownWorkerPool,
+} = require("./services/ocrWorkerPool");
+const { checkLanguageData } = require("./services/languageDataService");
+const {
+  loadRulePacks,
+  watchRulePacks,
+  unwatchRulePacks,
+} = require("./services/ruleService");
 
 const PORT = config.port;
 
+// Refuse to start without local language data, tesseract would try to download it
+const languageData = checkLanguageData();
+if (!languageData.ok) {
+  logger.error("OCR language data missing, refusing to start", {
+    missing: languageData.missing,
+    langPath: languageData.langPath,
+    cachePath: languageData.cachePath,
+  });
+  console.error(
+    `\n❌ Missing ${languageData.missing
+      .map((lang) => `${lang}.traineddata`)
+      .join(", ")} in ${languageData.langPath}` +
+      `\n   Copy the files there or point OCR_LANG_PATH at them.\n`
+  );
+  process.exit(1);
+}
+
+// Refuse to start with invalid classification rules, every amount would come back "other"
+try {
+  loadRulePacks();
+} catch (error) {
+  logger.error("Invalid rule packs, refusing to start", {
+    error: error.message,
+    rulesPath: config.rulesPath,
+  });
+  console.error(`\n❌ Invalid rule packs: ${error.message}\n`);
+  process.exit(1);
+}
+if (config.rulesWatch) watchRulePacks();
+
+// Warm up OCR workers so the first upload doesn't pay for loading the model
+initWorkerPool().catch((error) => {
+  logger.error("Failed to start OCR worker pool", {
+    error: error.message,
+  });
+});
+
 // Start server
 const server = app.listen(PORT, () => {
   logger.info(`🚀 Plum OCR Backend Service started`, {
     port: PORT,
     environment: config.nodeEnv,
     googleCredsConfigured: !!config.googleCredentials,
+    ocrLanguages: languageData.languages,
   });
   console.log(`\n🚀 Server running on http://localhost:${PORT}`);
   console.log(`📋 Health check: http://localhost:${PORT}/health`);
+  console.log(`✅ Readiness: http://localhost:${PORT}/health/ready`);
   console.log(`🔍 Extract API: http://localhost:${PORT}/api/extract\n`);
 });
 
@@ -20,8 +69,17 @@ const server = app.listen(PORT, () => {
 const gracefulShutdown = (signal) => {
   logger.info(`${signal} received. Starting graceful shutdown...`);
 
-  server.close(() => {
-    logger.info("Server closed. Process terminating...");
+  unwatchRulePacks();
+  server.close(async () => {
+    logger.info("Server closed. Stopping OCR workers...");
+    try {
+      await shutdownWorkerPool();
+    } catch (error) {
+      logger.error("Failed to stop OCR workers cleanly", {
+        error: error.message,
+      });
+    }
+    logger.info("Process terminating...");
     process.exit(0);
   });
 
@@ -0,0 +1,113 @@
+const config = require("../config/env");
+const logger = require("../utils/logger");
+const { AppError } = require("../middleware/errorHandler");
+const { runExtraction } = require("./extractionService");
+
+// run fn over items with at most `limit` in flight, results keep the input order
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, worker)
+  );
+  return results;
+};
+
+// describe where a document came from without echoing its content
+const describeDocument = (document) =>
+  document.file
+    ? {
+        type: "file",
+        filename: document.file.originalname,
+        mimetype: document.file.mimetype,
+      }
+    : { type: "text", length: document.text.length };
+
+// one document through the pipeline, errors become that document's result
+const runDocument = async (document, index, body, requestId, signal) => {
+  const documentRequestId = `${requestId}-${index}`;
+
+  try {
+    const result = await runExtraction(
+      { text: document.text, file: document.file, body },
+      documentRequestId,
+      { signal }
+    );
+    return { index, source: describeDocument(document), ...result };
+  } catch (error) {
+    logger.warn("Batch document failed", {
+      requestId: documentRequestId,
+      error: error.message,
+    });
+    return {
+      index,
+      source: describeDocument(document),
+      status: "error",
+      error_code: error.errorCode || "processing_failed",
+      message: error.isOperational
+        ? error.message
+        : "Failed to process the document",
+    };
+  }
+};
+
+/**
+ * Run several documents through the pipeline with bounded concurrency. A bad
+ * document only fails its own entry, never the batch
+ * @param {Array<{file?: object, text?: string}>} documents - Uploaded files and text entries
+ * @param {object} body - Shared request fields (preprocess, review_threshold)
+ * @param {string} requestId - Request ID for logging
+ * @param {{signal?: AbortSignal}} options - Aborts every document still running (client left)
+ * @returns {Promise<{summary: object, documents: Array<object>}>}
+ */
+const runBatch = async (documents, body, requestId, { signal } = {}) => {
+  if (documents.length === 0) {
+    throw new AppError(
+      "Provide at least one file (files) or text entry (texts)",
+      400,
+      "invalid_input"
+    );
+  }
+
+  if (documents.length > config.batchMaxDocuments) {
+    throw new AppError(
+      `Batch has ${documents.length} documents, maximum allowed is ${config.batchMaxDocuments}`,
+      400,
+      "too_many_documents"
+    );
+  }
+
+  logger.info("Starting batch extraction", {
+    requestId,
+    documents: documents.length,
+    concurrency: config.batchConcurrency,
+  });
+
+  const results = await mapWithConcurrency(
+    documents,
+    config.batchConcurrency,
+    (document, index) => runDocument(document, index, body, requestId, signal)
+  );
+
+  // count per status so callers can tell at a glance what needs attention
+  const summary = { total: results.length };
+  for (const result of results) {
+    summary[result.status] = (summary[result.status] || 0) + 1;
+  }
+
+  logger.info("Batch extraction complete", { requestId, summary });
+
+  return { summary, documents: results };
+};
+
+module.exports = {
+  runBatch,
+};
@@ -0,0 +1,92 @@
+const config = require("../config/env");
+const { AppError } = require("../middleware/errorHandler");
+
+const timeoutError = (what, ms) =>
+  new AppError(
+    `Processing timed out: ${what} took longer than ${ms}ms`,
+    504,
+    "ocr_timeout"
+  );
+
+/**
+ * Time budget for one document: an overall deadline, a timeout per stage and a
+ * record of where the time went. Stages get an AbortSignal that fires on their
+ * own timeout, the overall deadline or the caller's signal (client went away)
+ * @param {{signal?: AbortSignal, limitMs?: number}} options
+ * @returns {{signal: AbortSignal, run: Function, usage: Function, finish: Function}}
+ */
+const createBudget = ({ signal, limitMs = config.requestTimeoutMs } = {}) => {
+  const startedAt = Date.now();
+  const stages = {};
+
+  const deadline = new AbortController();
+  const deadlineTimer = setTimeout(
+    () => deadline.abort(timeoutError("the document", limitMs)),
+    limitMs
+  );
+  const overall = signal
+    ? AbortSignal.any([signal, deadline.signal])
+    : deadline.signal;
+
+  const remaining = () => Math.max(0, limitMs - (Date.now() - startedAt));
+
+  /**
+   * Run one stage, rejecting with ocr_timeout when it outlives its share of the
+   * budget. Work that can't be interrupted keeps running but its result is ignored
+   * @param {string} stage - Stage name, its timeout comes from config.stageTimeoutsMs
+   * @param {Function} fn - Receives the stage's AbortSignal, returns a promise
+   * @returns {Promise<*>} Whatever fn resolves with
+   */
+  const run = async (stage, fn) => {
+    if (overall.aborted) throw overall.reason;
+
+    const stageLimit = config.stageTimeoutsMs[stage] || limitMs;
+    const timeoutMs = Math.min(stageLimit, remaining());
+    const stageController = new AbortController();
+    const stageSignal = AbortSignal.any([overall, stageController.signal]);
+    const started = Date.now();
+
+    let timer;
+    let onAbort;
+    const interrupted = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        // cut short by what's left of the overall budget, not the stage's own limit
+        const error =
+          timeoutMs < stageLimit
+            ? timeoutError("the document", limitMs)
+            : timeoutError(stage, stageLimit);
+        error.stage = stage;
+        stageController.abort(error);
+      }, timeoutMs);
+      onAbort = () => reject(stageSignal.reason);
+      stageSignal.addEventListener("abort", onAbort, { once: true });
+    });
+
+    try {
+      return await Promise.race([fn(stageSignal), interrupted]);
+    } catch (error) {
+      // remember which stage was running when the budget ran out
+      if (error.errorCode === "ocr_timeout" && !error.stage) error.stage = stage;
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      stageSignal.removeEventListener("abort", onAbort);
+      stages[stage] = (stages[stage] || 0) + (Date.now() - started);
+    }
+  };
+
+  // how much of the budget has gone, and to which stages
+  const usage = () => ({
+    limit_ms: limitMs,
+    used_ms: Date.now() - startedAt,
+    stages_ms: { ...stages },
+  });
+
+  const finish = () => clearTimeout(deadlineTimer);
+
+  return { signal: overall, run, usage, finish };
+};
+
+module.exports = {
+  createBudget,
+};
@@ -1,23 +1,55 @@
 const logger = require("../utils/logger");
+const { parseNumber } = require("./numberFormatService");
+const { normalizeDigits, localizedPatterns } = require("./languageService");
+const { ISO_CODES } = require("./currencyService");
+const { selectRulePack } = require("./ruleService");
+const { createTrace } = require("./traceService");
+const {
+  textGrid,
+  layoutGrid,
+  locateSpan,
+  findNumbers,
+} = require("./layoutService");
 
-// figure out what type each amount is by looking at nearby words
-const classifyAmounts = (rawText, normalizedAmounts, requestId) => {
+// a label printed away from its number is a weaker match than "total: 500"
+const SAME_ROW_PENALTY = 0.05; // further along the row ("total ........ 500")
+const ABOVE_PENALTY = 0.1; // on a row above, in the number's column
+const ROW_GAP_PENALTY = 0.05; // for every other row between them
+const MAX_ROWS_ABOVE = 3;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// figure out what type each amount is by looking at the labels around it, numberFormat
+// is how the document's numbers are printed (see numberFormatService), rulePack the
+// labels to look for (see ruleService, the default pack when not given), layout the
+// word boxes of uploaded files (labels in other columns or on the row above). trace
+// (traceService) hears every label weighed for each amount
+const classifyAmounts = (
+  rawText,
+  normalizedAmounts,
+  requestId,
+  numberFormat = "auto",
+  rulePack = selectRulePack(),
+  layout = null,
+  trace = createTrace()
+) => {
   try {
     logger.info("Starting amount classification", {
       requestId,
       amountCount: normalizedAmounts.length,
     });
 
-    const classifiedAmounts = [];
-    const text = rawText.toLowerCase();
+    // devanagari / tamil / kannada digits read as ascii, positions stay the same
+    rawText = normalizeDigits(rawText);
 
-    // Split text into lines for better context matching
-    const lines = rawText.split(/\n+/);
+    // the document as rows of words, from the word boxes when there are any. its text
+    // stays as a fallback for values the layout doesn't have (a page without boxes)
+    const grids = [
+      ...(layout && layout.length > 0 ? [layoutGrid(layout)] : []),
+      textGrid(rawText),
+    ].map((grid) => readGrid(grid, rulePack, numberFormat));
 
-    for (const amount of normalizedAmounts) {
-      const classification = classifyAmount(amount, text, lines, rawText);
-      classifiedAmounts.push(classification);
-    }
+    const classifiedAmounts = classifyPrintings(normalizedAmounts, grids, trace);
 
     // Calculate overall confidence
     const totalConfidence = classifiedAmounts.reduce(
@@ -33,6 +65,7 @@ const classifyAmounts = (rawText, normalizedAmounts, requestId) => {
       requestId,
       classified: classifiedAmounts.length,
       avgConfidence,
+      rulePack: `${rulePack.name}@${rulePack.version}`,
     });
 
     return {
@@ -48,197 +81,364 @@ const classifyAmounts = (rawText, normalizedAmounts, requestId) => {
   }
 };
 
-// classify one amount by checking keywords around it
-const classifyAmount = (amount, lowerText, lines, originalText) => {
-  const amountStr = amount.toString();
-
-  // classification patterns with regex that captures the number
-  const patterns = [
-    // Total Bill patterns
-    {
-      type: "total_bill",
-      patterns: [
-        /total\s*(?:bill|amount|charges?|cost)\s*[:\-]?\s*(?:rs\.?|inr|₹)?\s*(\d+(?:\.\d{2})?)/i,
-        /(?:grand|net)\s*total\s*[:\-]?\s*(?:rs\.?|inr|₹)?\s*(\d+(?:\.\d{2})?)/i,
-        /bill\s*amount\s*[:\-]?\s*(?:rs\.?|inr|₹)?\s*(\d+(?:\.\d{2})?)/i,
-        /amount\s*payable\s*[:\-]?\s*(?:rs\.?|inr|₹)?\s*(\d+(?:\.\d{2})?)/i,
-        /total[:\-]\s*(?:rs\.?|inr|₹)?\s*(\d+(?:\.\d{2})?)/i, // total: 214.00 or total - 214.00
-      ],
-      confidence: 0.9,
-    },
-    // Paid amount patterns
-    {
-      type: "paid",
-      patterns: [
-        /paid\s*(?:amount|amt)?[:\s]*(?:rs\.?|inr|₹)?\s*(\d+(?:\.\d{2})?)/i,
-        /amount\s*paid[:\s]*(?:rs\.?|inr|₹)?\s*(\d+(?:\.\d{2})?)/i,
-        /payment[:\s]*(?:rs\.?|inr|₹)?\s*(\d+(?:\.\d{2})?)/i,
-        /received[:\s]*(?:rs\.?|inr|₹)?\s*(\d+(?:\.\d{2})?)/i,
-      ],
-      confidence: 0.9,
-    },
-    // Due/Balance patterns
-    {
-      type: "due",
-      patterns: [
-        /(?:balance|due)\s*(?:amount|amt)?[:\s]*(?:rs\.?|inr|₹)?\s*(\d+(?:\.\d{2})?)/i,
-        /amount\s*(?:due|outstanding)[:\s]*(?:rs\.?|inr|₹)?\s*(\d+(?:\.\d{2})?)/i,
-        /pending[:\s]*(?:rs\.?|inr|₹)?\s*(\d+(?:\.\d{2})?)/i,
-      ],
-      confidence: 0.9,
-    },
-    // Discount patterns
-    {
-      type: "discount",
-      patterns: [
-        /discount[:\s]*(?:rs\.?|inr|₹)?\s*(\d+(?:\.\d{2})?)/i,
-        /concession[:\s]*(?:rs\.?|inr|₹)?\s*(\d+(?:\.\d{2})?)/i,
-        /rebate[:\s]*(?:rs\.?|inr|₹)?\s*(\d+(?:\.\d{2})?)/i,
-      ],
-      confidence: 0.85,
-    },
-    // Tax patterns
-    {
-      type: "tax",
-      patterns: [
-        /(?:gst|vat|tax)[:\s]*(?:rs\.?|inr|₹)?\s*(\d+(?:\.\d{2})?)/i,
-        /service\s*tax[:\s]*(?:rs\.?|inr|₹)?\s*(\d+(?:\.\d{2})?)/i,
-      ],
-      confidence: 0.85,
-    },
-    // Consultation Fee
-    {
-      type: "consultation_fee",
-      patterns: [
-        /consultation\s*(?:fee|charges?)[:\s]*(?:rs\.?|inr|₹)?\s*(\d+(?:\.\d{2})?)/i,
-        /doctor\s*(?:fee|charges?)[:\s]*(?:rs\.?|inr|₹)?\s*(\d+(?:\.\d{2})?)/i,
-      ],
-      confidence: 0.8,
-    },
-    // Medicine costs
-    {
-      type: "medicine_cost",
-      patterns: [
-        /medicine[s]?\s*(?:cost|charges?)?[:\s]*(?:rs\.?|inr|₹)?\s*(\d+(?:\.\d{2})?)/i,
-        /pharmacy[:\s]*(?:rs\.?|inr|₹)?\s*(\d+(?:\.\d{2})?)/i,
-        /drugs?[:\s]*(?:rs\.?|inr|₹)?\s*(\d+(?:\.\d{2})?)/i,
-      ],
-      confidence: 0.8,
-    },
-    // Lab tests
-    {
-      type: "lab_test_cost",
-      patterns: [
-        /lab\s*(?:test[s]?|charges?)[:\s]*(?:rs\.?|inr|₹)?\s*(\d+(?:\.\d{2})?)/i,
-        /investigation[s]?[:\s]*(?:rs\.?|inr|₹)?\s*(\d+(?:\.\d{2})?)/i,
-        /diagnostic[s]?[:\s]*(?:rs\.?|inr|₹)?\s*(\d+(?:\.\d{2})?)/i,
-      ],
-      confidence: 0.8,
-    },
-    // Room charges
-    {
-      type: "room_charges",
-      patterns: [
-        /room\s*(?:charges?|rent)[:\s]*(?:rs\.?|inr|₹)?\s*(\d+(?:\.\d{2})?)/i,
-        /bed\s*charges?[:\s]*(?:rs\.?|inr|₹)?\s*(\d+(?:\.\d{2})?)/i,
-        /accommodation[:\s]*(?:rs\.?|inr|₹)?\s*(\d+(?:\.\d{2})?)/i,
-      ],
-      confidence: 0.8,
-    },
-    // Subtotal
-    {
-      type: "subtotal",
-      patterns: [
-        /sub\s*total[:\s]*(?:rs\.?|inr|₹)?\s*(\d+(?:\.\d{2})?)/i,
-        /sub[-\s]*total[:\s]*(?:rs\.?|inr|₹)?\s*(\d+(?:\.\d{2})?)/i,
-      ],
-      confidence: 0.75,
-    },
-  ];
-
-  // try to match patterns in the full text and see if captured number matches our amount
-  let bestMatch = null;
-  let highestConfidence = 0;
-
-  for (const category of patterns) {
-    for (const pattern of category.patterns) {
-      const match = lowerText.match(pattern);
-      if (match && match[1]) {
-        const capturedAmount = parseFloat(match[1].replace(/,/g, ""));
-        // check if captured number matches our amount
-        if (
-          capturedAmount === amount &&
-          category.confidence > highestConfidence
-        ) {
-          highestConfidence = category.confidence;
-          bestMatch = {
-            type: category.type,
-            value: amount,
-            source: `text: '${match[0]}'`,
-            confidence: category.confidence,
-          };
-        }
+// find every number, every label and every label-and-number match in a grid, once
+const readGrid = (grid, rulePack, numberFormat) => {
+  const numbers = findNumbers(grid).map((number) => ({
+    ...number,
+    value: round2(parseNumber(number.printed, numberFormat)),
+  }));
+  const matches = [];
+  const labels = [];
+
+  for (const category of rulePack.categories) {
+    // the same labels in hindi, marathi, tamil and kannada
+    const localized = localizedPatterns(category.type);
+
+    for (const pattern of [...category.patterns, ...localized.amounts]) {
+      for (const match of grid.text.matchAll(pattern)) {
+        if (!match[1]) continue;
+        matches.push({
+          category,
+          pattern: pattern.source,
+          text: match[0],
+          start: match.index,
+          end: match.index + match[0].length,
+          // where the captured number starts, the printing it labels
+          number: match.index + match[0].lastIndexOf(match[1]),
+        });
+      }
+    }
+
+    for (const pattern of [...category.labelPatterns, ...localized.labels]) {
+      for (const match of grid.text.matchAll(pattern)) {
+        // without the separators and spaces the pattern takes along
+        const text = match[0].replace(/[\s:：\-]+$/, "");
+        if (!text) continue;
+        labels.push({
+          category,
+          pattern: pattern.source,
+          text,
+          start: match.index,
+          end: match.index + text.length,
+          ...locateSpan(grid, match.index, match.index + text.length),
+        });
       }
     }
   }
 
-  // if no pattern matched, classify as "other"
-  if (!bestMatch) {
-    bestMatch = {
+  return { ...grid, numbers, matches, labels };
+};
+
+// give every amount its own printing of the value: the printings a label was found
+// for first, so "total 500" and "paid 500" come back as two amounts with two types
+const classifyPrintings = (normalizedAmounts, grids, trace) => {
+  const printingsOf = new Map();
+  for (const value of normalizedAmounts) {
+    if (printingsOf.has(value)) continue;
+    const count = normalizedAmounts.filter((v) => v === value).length;
+
+    const grid = grids.find((g) => g.numbers.some((n) => n.value === value));
+    const printings = grid
+      ? grid.numbers
+          .filter((number) => number.value === value)
+          .map((number) => {
+            const candidates = candidatesFor(number, grid);
+            return { grid, number, candidates, match: bestOf(candidates) };
+          })
+      : [];
+
+    printingsOf.set(
+      value,
+      [
+        ...printings.filter((p) => p.match),
+        ...printings.filter((p) => !p.match),
+      ]
+        .slice(0, count)
+        .sort((a, b) => a.number.start - b.number.start)
+    );
+  }
+
+  // amounts come in reading order, so do the printings they're given
+  return normalizedAmounts.map((value) => {
+    const printing = printingsOf.get(value).shift();
+    const amount = toClassifiedAmount(value, printing);
+    if (trace.enabled) {
+      trace.add("classification", explainPrinting(amount, printing));
+    }
+    return amount;
+  });
+};
+
+// what classification weighed for one amount, for explain mode
+const explainPrinting = (amount, printing) => {
+  const base = {
+    value: amount.value,
+    type: amount.type,
+    confidence: amount.confidence,
+  };
+  if (!printing) return { ...base, reason: "value not found in the text" };
+
+  const { grid, number, candidates, match } = printing;
+  return {
+    ...base,
+    printed: number.printed,
+    ...(grid.positioned
+      ? { page: grid.rows[number.row].page }
+      : { index: number.start }),
+    candidates: candidates.map((c) => ({
+      type: c.category.type,
+      confidence: round2(c.confidence),
+      priority: c.category.priority,
+      how: c.how,
+      source: c.source,
+      pattern: c.pattern,
+      chosen: c === match,
+      ...(c.rejected && { rejected: c.rejected }),
+    })),
+    ...(!match && {
+      reason:
+        candidates.length > 0
+          ? "every label was ruled out"
+          : "no label next to it, before it on its row or above it",
+    }),
+  };
+};
+
+const toClassifiedAmount = (value, printing) => {
+  if (!printing) {
+    return {
       type: "other",
-      value: amount,
+      value,
       source: "text: (context not found)",
       confidence: 0.5,
     };
   }
 
-  return bestMatch;
+  const { grid, number, match } = printing;
+  return {
+    type: match ? match.category.type : "other",
+    value,
+    source: match ? match.source : "text: (context not found)",
+    confidence: match ? parseFloat(match.confidence.toFixed(2)) : 0.5,
+    // where the number is printed: an offset in the text to read the currency next
+    // to it, or the layout words for its page and boxes
+    ...(grid.positioned
+      ? {
+          words: {
+            page: grid.rows[number.row].page,
+            value: number.words[0].source,
+            label: match ? match.label.map((w) => w.source) : [],
+          },
+        }
+      : { index: number.start }),
+  };
 };
 
-// check if the amounts make sense together (total = paid + due)
-const validateClassification = (classifiedAmounts) => {
-  const warnings = [];
-
-  // Find key amounts
-  const total = classifiedAmounts.find((a) => a.type === "total_bill");
-  const paid = classifiedAmounts.find((a) => a.type === "paid");
-  const due = classifiedAmounts.find((a) => a.type === "due");
-  const subtotal = classifiedAmounts.find((a) => a.type === "subtotal");
-
-  // check if total = paid + due (with small margin for rounding)
-  if (total && paid && due) {
-    const calculatedTotal = paid.value + due.value;
-    const difference = Math.abs(total.value - calculatedTotal);
-
-    if (difference > 1) {
-      // Allow 1 rupee tolerance for rounding
-      warnings.push(
-        `Total (${total.value}) doesn't match Paid (${paid.value}) + Due (${due.value})`
+// the labels that could name one printed number: a pattern matching label and number
+// together, else labels further along its row or on a row above in its column. the
+// ones a negative keyword rules out say so in `rejected`
+const candidatesFor = (number, grid) => {
+  const matched = grid.matches
+    .filter((m) => m.number === number.start)
+    .map((m) => {
+      const label = locateSpan(grid, m.start, number.start).words.filter(
+        (w) => w.start < number.start
       );
-    }
-  }
+      const rowsApart = number.row - rowAt(grid, m.start);
+      // on a laid out page a label on another row must be over the number's
+      // column, the "total" header doesn't name the serial number under "sr.no."
+      if (grid.positioned && rowsApart > 0 && !overColumn(label, number)) {
+        return null;
+      }
+      return {
+        category: m.category,
+        how: rowsApart > 0 ? "pattern, label on the row above" : "pattern",
+        pattern: m.pattern,
+        // a label on one line and the value on the next is a weaker match
+        confidence:
+          rowsApart > 0 ? m.category.confidence - 0.1 : m.category.confidence,
+        // on another row it competes with the labels above, nearest column first
+        distance:
+          rowsApart > 0 ? rowsApart * 1e6 + horizontalDistance(label, number) : 0,
+        start: m.start,
+        source: `text: '${m.text}'`,
+        label,
+      };
+    })
+    .filter(Boolean);
 
-  // due shouldn't be more than total
-  if (total && due && due.value > total.value) {
-    warnings.push(
-      "Due amount is greater than total - possible classification error"
+  const onRow = matched.filter((c) => c.distance === 0);
+  return (
+    onRow.length > 0
+      ? onRow
+      : [
+          ...matched,
+          ...labelsOnRow(number, grid),
+          ...labelsAbove(number, grid),
+        ]
+  ).map((c) => {
+    const keyword = negativeKeyword(
+      grid.text,
+      Math.min(c.start, number.start),
+      number.end,
+      c.category.negativeKeywords
     );
+    return keyword ? { ...c, rejected: `negative keyword '${keyword}'` } : c;
+  });
+};
+
+// the label that wins among the candidates not ruled out, null when none is left
+const bestOf = (candidates) =>
+  candidates
+    .filter((c) => !c.rejected)
+    .reduce((best, c) => (!best || isBetter(c, best) ? c : best), null);
+
+const rowAt = (grid, offset) => locateSpan(grid, offset, offset + 1).row;
+
+// a label's words span part of the number's width across the page
+const overColumn = (words, number) =>
+  words.length > 0 &&
+  Math.min(...words.map((w) => w.x0)) < number.x1 &&
+  Math.max(...words.map((w) => w.x1)) > number.x0;
+
+// how far apart a label's words and a number sit across the page (centers)
+const horizontalDistance = (words, number) =>
+  words.length === 0
+    ? 0
+    : Math.abs(
+        Math.min(...words.map((w) => w.x0)) +
+          Math.max(...words.map((w) => w.x1)) -
+          number.x0 -
+          number.x1
+      ) / 2;
+
+// higher priority first, then confidence, then the label closest to the number
+const isBetter = (a, b) => {
+  if (a.category.priority !== b.category.priority) {
+    return a.category.priority > b.category.priority;
   }
+  if (a.confidence !== b.confidence) return a.confidence > b.confidence;
+  return a.distance < b.distance;
+};
+
+// what may sit between a label and its number: separators, dot leaders, a currency
+// and remarks in brackets, but not other words ("due date 12/03")
+const isLabelGap = (gap) =>
+  gap
+    .replace(/\([^)]*\)|\[[^\]]*\]/g, " ")
+    .split(/[^a-z\u0900-\u0DFF]+/)
+    .every((word) => word.length < 3 || ISO_CODES.has(word.toUpperCase()));
+
+// a number printed between two offsets
+const numbersBetween = (grid, start, end) =>
+  grid.numbers.some((n) => n.start >= start && n.start < end);
+
+// labels earlier on the number's row with nothing but a gap between ("total .... 500",
+// or a label and value tesseract read as separate blocks)
+const labelsOnRow = (number, grid) =>
+  grid.labels
+    .filter(
+      (label) =>
+        label.row === number.row &&
+        label.end <= number.start &&
+        !numbersBetween(grid, label.end, number.start) &&
+        isLabelGap(grid.text.slice(label.end, number.start))
+    )
+    .map((label) => ({
+      category: label.category,
+      how: "label earlier on the row",
+      pattern: label.pattern,
+      confidence: label.category.confidence - SAME_ROW_PENALTY,
+      distance: number.start - label.end,
+      start: label.start,
+      source: `text: '${grid.text.slice(label.start, number.end)}'`,
+      label: label.words,
+    }));
 
-  // paid shouldn't be more than total
-  if (total && paid && paid.value > total.value) {
-    warnings.push(
-      "Paid amount is greater than total - possible classification error"
+// labels on a row above that head the number's column ("total   paid   due" over
+// "500     500    0"), or end the line before a value that starts its own
+const labelsAbove = (number, grid) => {
+  const row = grid.rows[number.row];
+
+  // a number with its own words before it is labelled by them, or not at all
+  const previous = grid.numbers.filter(
+    (n) => n.row === number.row && n.end <= number.start
+  );
+  const from = previous.length > 0 ? previous[previous.length - 1].end : row.start;
+  if (!isLabelGap(grid.text.slice(from, number.start))) return [];
+  const startsRow = previous.length === 0;
+
+  for (let d = 1; d <= MAX_ROWS_ABOVE && number.row - d >= 0; d++) {
+    const above = number.row - d;
+    if (grid.rows[above].page !== row.page) break;
+
+    const overlaps = (item) => item.x0 < number.x1 && item.x1 > number.x0;
+    // a number in the same column above it takes the header
+    if (grid.numbers.some((n) => n.row === above && overlaps(n))) break;
+
+    const aligned = grid.labels.filter(
+      (label) =>
+        label.row === above &&
+        !ownsNumber(label, grid) &&
+        // on a laid out page the column decides, a label ending the line before
+        // is a header for whatever sits under it
+        (overlaps(label) ||
+          (!grid.positioned && startsRow && endsRow(label, grid)))
     );
+    if (aligned.length === 0) continue;
+    // a table header ("description  qty  rate  total") heads line items, not a summary
+    if (!onlyLabels(above, grid)) break;
+
+    return aligned.map((label) => ({
+      category: label.category,
+      how: `label ${d} row${d > 1 ? "s" : ""} above`,
+      pattern: label.pattern,
+      confidence:
+        label.category.confidence - ABOVE_PENALTY - ROW_GAP_PENALTY * (d - 1),
+      distance: d * 1e6 + horizontalDistance([label], number),
+      start: label.start,
+      source: `text: '${label.text}' above '${number.printed}'`,
+      label: label.words,
+    }));
   }
+  return [];
+};
 
-  return {
-    valid: warnings.length === 0,
-    warnings,
-  };
+// the label has a number of its own further along its row
+const ownsNumber = (label, grid) =>
+  grid.numbers.some(
+    (n) =>
+      n.row === label.row &&
+      n.start >= label.end &&
+      isLabelGap(grid.text.slice(label.end, n.start))
+  );
+
+// the row holds labels and nothing else that reads as a word
+const onlyLabels = (rowIndex, grid) => {
+  const row = grid.rows[rowIndex];
+  let rest = grid.text.slice(row.start, row.end);
+  for (const label of grid.labels.filter((l) => l.row === rowIndex)) {
+    rest =
+      rest.slice(0, label.start - row.start) +
+      " ".repeat(label.end - label.start) +
+      rest.slice(label.end - row.start);
+  }
+  return isLabelGap(rest);
+};
+
+// nothing but separators after the label on its row
+const endsRow = (label, grid) =>
+  /^[\s:：\-]*$/.test(grid.text.slice(label.end, grid.rows[label.row].end));
+
+// the first of the keywords on the lines between start and end, if any
+const negativeKeyword = (text, start, end, keywords) => {
+  if (keywords.length === 0) return null;
+  const lineStart = text.lastIndexOf("\n", start) + 1;
+  const lineEnd = text.indexOf("\n", end);
+  const lines = text.slice(lineStart, lineEnd === -1 ? undefined : lineEnd);
+  return keywords.find((keyword) => lines.includes(keyword)) || null;
 };
 
 module.exports = {
   classifyAmounts,
-  validateClassification,
 };
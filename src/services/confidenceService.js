@@ -0,0 +1,87 @@
+const config = require("../config/env");
+const { findAmountWords } = require("./provenanceService");
+const { normalizeToken, countCorrections } = require("./normalizationService");
+
+// each character normalization had to fix costs this much, down to the floor
+const CORRECTION_PENALTY = 0.15;
+const MIN_NORMALIZATION_SCORE = 0.5;
+
+// the raw token an amount was normalized from, for text input without word boxes
+// (a percentage is never one, "18%" isn't the amount 18)
+const findRawToken = (value, rawTokens = [], numberFormat = "auto") =>
+  rawTokens.find(
+    (token) =>
+      !token.includes("%") && normalizeToken(token, numberFormat) === value
+  ) || null;
+
+/**
+ * Score one classified amount from the ocr confidence of its digits, the fixes
+ * normalization had to make and how well its label matched
+ * @param {{value: number, source?: string, confidence?: number}} amount - Classified amount
+ * @param {{layout?: Array<object>, rawTokens?: string[], documentConfidence?: number, numberFormat?: string}} context
+ *   documentConfidence is used when the value can't be found in the layout
+ * @returns {{confidence: number, confidence_breakdown: {ocr: number, normalization: number, classification: number|null}}}
+ *   classification is null when the amount came without a confidence (step 4 bodies),
+ *   it then leaves the score as it is
+ */
+const scoreAmount = (
+  amount,
+  { layout, rawTokens, documentConfidence = 1, numberFormat }
+) => {
+  const found = findAmountWords(amount, layout);
+
+  // text layers and typed text have no word confidence, they are exact
+  const ocr =
+    found && found.value.confidence !== undefined
+      ? found.value.confidence
+      : documentConfidence;
+
+  const readAs = found
+    ? found.value.text
+    : findRawToken(amount.value, rawTokens, numberFormat);
+  const corrections = readAs ? countCorrections(readAs) : 0;
+  const normalization = Math.max(
+    MIN_NORMALIZATION_SCORE,
+    1 - corrections * CORRECTION_PENALTY
+  );
+
+  // an amount typed by the caller wasn't classified here, nothing to weigh
+  const classification =
+    typeof amount.confidence === "number" ? amount.confidence : null;
+  const label = classification !== null ? classification : 1;
+
+  return {
+    confidence: parseFloat((ocr * normalization * label).toFixed(2)),
+    confidence_breakdown: {
+      ocr: parseFloat(ocr.toFixed(2)),
+      normalization: parseFloat(normalization.toFixed(2)),
+      classification,
+    },
+  };
+};
+
+/**
+ * Score every amount and flag the ones below the review threshold
+ * @param {Array<object>} amounts - Classified amounts
+ * @param {object} context - See scoreAmount
+ * @param {number} threshold - Amounts scoring below this get needs_review: true
+ * @returns {Array<object>} Amounts with confidence, confidence_breakdown and needs_review
+ */
+const scoreAmounts = (
+  amounts,
+  context,
+  threshold = config.amountReviewThreshold
+) =>
+  amounts.map((amount) => {
+    const score = scoreAmount(amount, context);
+    return {
+      ...amount,
+      ...score,
+      needs_review: score.confidence < threshold,
+    };
+  });
+
+module.exports = {
+  scoreAmount,
+  scoreAmounts,
+};
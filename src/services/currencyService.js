@@ -0,0 +1,276 @@
+const config = require("../config/env");
+const { NUMBER_PATTERN } = require("./numberFormatService");
+
+// active iso 4217 codes, funds and precious metals included (XTS / XXX are not money)
+const ISO_CODES = new Set(
+  `AED AFN ALL AMD ANG AOA ARS AUD AWG AZN BAM BBD BDT BGN BHD BIF BMD BND BOB BOV
+  BRL BSD BTN BWP BYN BZD CAD CDF CHE CHF CHW CLF CLP CNY COP COU CRC CUC CUP CVE
+  CZK DJF DKK DOP DZD EGP ERN ETB EUR FJD FKP GBP GEL GHS GIP GMD GNF GTQ GYD HKD
+  HNL HTG HUF IDR ILS INR IQD IRR ISK JMD JOD JPY KES KGS KHR KMF KPW KRW KWD KYD
+  KZT LAK LBP LKR LRD LSL LYD MAD MDL MGA MKD MMK MNT MOP MRU MUR MVR MWK MXN MXV
+  MYR MZN NAD NGN NIO NOK NPR NZD OMR PAB PEN PGK PHP PKR PLN PYG QAR RON RSD RUB
+  RWF SAR SBD SCR SDG SEK SGD SHP SLE SLL SOS SRD SSP STN SVC SYP SZL THB TJS TMT
+  TND TOP TRY TTD TWD TZS UAH UGX USD USN UYI UYU UYW UZS VED VES VND VUV WST XAF
+  XAG XAU XBA XBB XBC XBD XCD XCG XDR XOF XPD XPF XPT XSU XUA YER ZAR ZMW ZWG ZWL`
+    .trim()
+    .split(/\s+/)
+);
+
+// printed symbols and the codes they can stand for, most likely first
+const SYMBOLS = {
+  "₹": ["INR"],
+  Rs: ["INR", "PKR", "LKR", "NPR", "MUR", "SCR"],
+  "Rs.": ["INR", "PKR", "LKR", "NPR", "MUR", "SCR"],
+  RS: ["INR", "PKR", "LKR", "NPR", "MUR", "SCR"],
+  rs: ["INR", "PKR", "LKR", "NPR", "MUR", "SCR"],
+  "₨": ["INR", "PKR", "LKR", "NPR", "MUR", "SCR"],
+  // rupee abbreviations in devanagari, tamil and kannada
+  "रु": ["INR", "NPR"],
+  "रु.": ["INR", "NPR"],
+  "ரூ": ["INR", "LKR"],
+  "ரூ.": ["INR", "LKR"],
+  "ರೂ": ["INR"],
+  "ರೂ.": ["INR"],
+  $: ["USD", "CAD", "AUD", "NZD", "SGD", "HKD", "MXN", "TWD"],
+  US$: ["USD"],
+  A$: ["AUD"],
+  AU$: ["AUD"],
+  C$: ["CAD"],
+  CA$: ["CAD"],
+  NZ$: ["NZD"],
+  S$: ["SGD"],
+  HK$: ["HKD"],
+  MX$: ["MXN"],
+  NT$: ["TWD"],
+  R$: ["BRL"],
+  "€": ["EUR"],
+  "£": ["GBP", "EGP", "GIP", "FKP", "SHP"],
+  "¥": ["JPY", "CNY"],
+  "JP¥": ["JPY"],
+  "CN¥": ["CNY"],
+  "元": ["CNY"],
+  "₩": ["KRW"],
+  "₽": ["RUB"],
+  "₺": ["TRY"],
+  "₪": ["ILS"],
+  "₫": ["VND"],
+  "₱": ["PHP"],
+  "฿": ["THB"],
+  "₦": ["NGN"],
+  "₴": ["UAH"],
+  "₸": ["KZT"],
+  "₭": ["LAK"],
+  "₮": ["MNT"],
+  "₲": ["PYG"],
+  "₵": ["GHS"],
+  "₡": ["CRC"],
+  "₼": ["AZN"],
+  "₾": ["GEL"],
+  "৳": ["BDT"],
+  "د.إ": ["AED"],
+  Dhs: ["AED", "MAD"],
+  "ر.س": ["SAR"],
+  "﷼": ["SAR", "OMR", "QAR", "YER", "IRR"],
+  kr: ["SEK", "NOK", "DKK", "ISK"],
+  "zł": ["PLN"],
+  "Kč": ["CZK"],
+  Ft: ["HUF"],
+  lei: ["RON"],
+  RM: ["MYR"],
+  Rp: ["IDR"],
+  "Fr.": ["CHF"],
+};
+
+// currencies written out in words
+const NAMES = [
+  { pattern: /\b(?:indian\s+)?rupees?\b/gi, codes: SYMBOLS.Rs },
+  { pattern: /\b(?:us\s+)?dollars?\b/gi, codes: SYMBOLS.$ },
+  { pattern: /\beuros?\b/gi, codes: ["EUR"] },
+  { pattern: /\b(?:pounds?\s+sterling|pounds?)\b/gi, codes: SYMBOLS["£"] },
+  { pattern: /\b(?:uae\s+)?dirhams?\b/gi, codes: SYMBOLS.Dhs },
+  { pattern: /\b(?:saudi\s+)?riyals?\b/gi, codes: SYMBOLS["﷼"] },
+  { pattern: /\byen\b/gi, codes: ["JPY"] },
+  { pattern: /\b(?:yuan|renminbi)\b/gi, codes: ["CNY"] },
+];
+
+// how much a marker says on its own, before ambiguity is taken into account
+const MARKER_CONFIDENCE = { code: 0.95, symbol: 0.9, name: 0.8 };
+
+const round = (n) => parseFloat(n.toFixed(2));
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// a symbol or code, never glued to other letters ("Rs" in "Hrs", "ALL" in "ALLOWED")
+// (regex source, longest first so "US$" wins over "$")
+const MARKER_PATTERN = `(?<![A-Za-z])(?:${[...Object.keys(SYMBOLS), ...ISO_CODES]
+  .sort((a, b) => b.length - a.length)
+  .map(escapeRegex)
+  .join("|")})(?![A-Za-z])`;
+
+// a marker sits next to a number when only spaces or tabs are between them
+const NEXT_TO_NUMBER = /^[ \t]{0,2}\d/;
+const AFTER_NUMBER = /\d[ \t]{0,2}$/;
+
+// every currency marker in the text, in order
+const findMarkers = (text) => {
+  const markers = [];
+
+  for (const match of text.matchAll(new RegExp(MARKER_PATTERN, "g"))) {
+    const marker = match[0];
+    markers.push({
+      marker,
+      kind: SYMBOLS[marker] ? "symbol" : "code",
+      codes: SYMBOLS[marker] || [marker],
+      start: match.index,
+      end: match.index + marker.length,
+    });
+  }
+
+  for (const { pattern, codes } of NAMES) {
+    for (const match of text.matchAll(pattern)) {
+      markers.push({
+        marker: match[0],
+        kind: "name",
+        codes,
+        start: match.index,
+        end: match.index + match[0].length,
+      });
+    }
+  }
+
+  return markers.sort((a, b) => a.start - b.start);
+};
+
+const touchesNumber = (text, marker) =>
+  NEXT_TO_NUMBER.test(text.slice(marker.end, marker.end + 3)) ||
+  AFTER_NUMBER.test(text.slice(Math.max(0, marker.start - 3), marker.start));
+
+// what one marker means, given the codes the document spells out elsewhere
+// ("$" on a bill that also says CAD is a canadian dollar)
+const readMarker = (marker, codesInText) => {
+  const base = MARKER_CONFIDENCE[marker.kind];
+  if (marker.codes.length === 1) {
+    return { code: marker.codes[0], confidence: base };
+  }
+
+  const named = marker.codes.find((code) => codesInText.has(code));
+  if (named) return { code: named, confidence: round(base - 0.05) };
+
+  // ambiguous, the configured default if it is one of them, else the likeliest
+  if (marker.codes.includes(config.defaultCurrency)) {
+    return { code: config.defaultCurrency, confidence: round(base - 0.15) };
+  }
+  return { code: marker.codes[0], confidence: round(base - 0.3) };
+};
+
+/**
+ * Scan a document for currency symbols, iso 4217 codes and currency names
+ * @param {string} text - Document text
+ * @returns {{currency: string, confidence: number, source: string, currencies: string[], markers: object[]}}
+ *   currency is the document's main currency, source "symbol", "code", "name" or
+ *   "default" (nothing found, DEFAULT_CURRENCY assumed), currencies every one seen
+ *   (most used first), markers the positions used to give each amount its own
+ */
+const detectCurrency = (text = "") => {
+  const found = findMarkers(text);
+
+  // three capital letters only count next to an amount, so words like ALL or TOP
+  // on an all-caps bill aren't taken for albanian lek or tongan pa'anga
+  const markers = found.filter(
+    (marker) => marker.kind !== "code" || touchesNumber(text, marker)
+  );
+  const codesInText = new Set(
+    markers.filter((m) => m.kind === "code").map((m) => m.marker)
+  );
+
+  const read = markers.map((marker) => ({
+    ...marker,
+    ...readMarker(marker, codesInText),
+  }));
+
+  if (read.length === 0) {
+    return {
+      currency: config.defaultCurrency,
+      confidence: 0.3,
+      source: "default",
+      currencies: [],
+      markers: [],
+    };
+  }
+
+  // each marker votes with its confidence, the main currency is the one most used
+  const votes = new Map();
+  for (const marker of read) {
+    votes.set(marker.code, (votes.get(marker.code) || 0) + marker.confidence);
+  }
+  const ranked = [...votes.entries()].sort((a, b) => b[1] - a[1]);
+  const [currency, score] = ranked[0];
+  const best = read
+    .filter((m) => m.code === currency)
+    .sort((a, b) => b.confidence - a.confidence)[0];
+  // two currencies used just as much, either could be the main one
+  const tied = ranked.length > 1 && ranked[1][1] === score;
+
+  return {
+    currency,
+    confidence: round(tied ? best.confidence - 0.2 : best.confidence),
+    source: best.kind,
+    currencies: ranked.map(([code]) => code),
+    markers: read,
+  };
+};
+
+// the marker printed right before or right after the number at start..end, if any
+const markerAround = (markers, text, start, end) =>
+  markers.find(
+    (m) =>
+      (m.end <= start && /^[ \t]{0,2}$/.test(text.slice(m.end, start))) ||
+      (m.start >= end && /^[ \t]{0,2}$/.test(text.slice(end, m.start)))
+  );
+
+/**
+ * The currency of one amount, from the symbol or code printed next to it, else
+ * the document's
+ * @param {{value: number, index?: number}} amount - index is where classification
+ *   found the number in the text, without it every printing of the value is tried
+ * @param {{text: string, document: object, parse: Function}} context - document is
+ *   detectCurrency's result, parse reads a printed number in the document's format
+ * @returns {{currency: string, currency_confidence: number}}
+ */
+const currencyOfAmount = (amount, { text, document, parse }) => {
+  const numbers = [...text.matchAll(new RegExp(NUMBER_PATTERN, "g"))].filter(
+    (match) =>
+      amount.index !== undefined
+        ? match.index === amount.index
+        : Math.round(parse(match[0]) * 100) / 100 === amount.value
+  );
+
+  for (const match of numbers) {
+    const marker = markerAround(
+      document.markers,
+      text,
+      match.index,
+      match.index + match[0].length
+    );
+    if (marker) {
+      return { currency: marker.code, currency_confidence: marker.confidence };
+    }
+  }
+
+  // nothing printed next to it, it shares the document's currency
+  return {
+    currency: document.currency,
+    currency_confidence: round(
+      document.source === "default"
+        ? document.confidence
+        : document.confidence * 0.8
+    ),
+  };
+};
+
+module.exports = {
+  ISO_CODES,
+  MARKER_PATTERN,
+  detectCurrency,
+  currencyOfAmount,
+};
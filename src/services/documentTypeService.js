@@ -0,0 +1,214 @@
+const logger = require("../utils/logger");
+const { createTrace } = require("./traceService");
+
+// what a document is when no type's signals are convincing, read with the
+// default profile
+const UNKNOWN = "unknown";
+
+// the amount types returned for unknown documents and types that don't say
+const DEFAULT_RETURNED_TYPES = ["total_bill", "paid", "due"];
+
+// this many signals make a type certain, fewer scale its confidence down
+const SURE_SIGNALS = 3;
+// a type no surer than this (a tie between two) leaves the document unknown
+const MIN_CONFIDENCE = 0.5;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// the signals of a type found in the text, each once, as printed
+const signalsOf = (documentType, text) => [
+  ...new Set(
+    documentType.signals
+      .map((signal) => signal.exec(text))
+      .filter(Boolean)
+      .map((match) => match[0].trim().toLowerCase())
+  ),
+];
+
+// more signals make a type surer, and so does a wide lead over the runner up
+const confidenceOf = (count, rival) =>
+  round2(Math.min(1, count / SURE_SIGNALS) * (count / (count + rival)));
+
+/**
+ * Tell what kind of document this is (pharmacy bill, opd receipt, lab invoice,
+ * inpatient bill, settlement letter, ... whatever the rule pack defines) from
+ * the signals of each type found in its text
+ * @param {string} text - The document's text, after ocr
+ * @param {object} rulePack - Compiled pack (see ruleService)
+ * @param {string} requestId - Request ID for logging
+ * @param {{requested?: string|null, trace?: object}} options - requested is a
+ *   type the request set, used as is. trace (traceService) hears every type
+ *   weighed
+ * @returns {{type: string, confidence: number|null, source: string,
+ *   signals: Array<string>, candidates: Array<object>}} type is "unknown" when
+ *   nothing is convincing, source "detected" or "request"
+ */
+const detectDocumentType = (
+  text,
+  rulePack,
+  requestId,
+  { requested = null, trace = createTrace() } = {}
+) => {
+  const scored = rulePack.documentTypes
+    .map((documentType) => ({
+      type: documentType.type,
+      signals: signalsOf(documentType, text || ""),
+    }))
+    .filter((c) => c.signals.length > 0)
+    // stable, types with as many signals stay in the pack's order
+    .sort((a, b) => b.signals.length - a.signals.length);
+
+  const candidates = scored.map((candidate, i) => ({
+    type: candidate.type,
+    confidence: confidenceOf(
+      candidate.signals.length,
+      i === 0
+        ? scored.length > 1
+          ? scored[1].signals.length
+          : 0
+        : scored[0].signals.length
+    ),
+    signals: candidate.signals,
+  }));
+
+  const best = candidates[0];
+  let detected;
+  if (requested) {
+    const candidate = candidates.find((c) => c.type === requested);
+    detected = {
+      type: requested,
+      confidence: 1,
+      source: "request",
+      signals: candidate ? candidate.signals : [],
+    };
+  } else if (best && best.confidence > MIN_CONFIDENCE) {
+    detected = {
+      type: best.type,
+      confidence: best.confidence,
+      source: "detected",
+      signals: best.signals,
+    };
+  } else {
+    detected = {
+      type: UNKNOWN,
+      confidence: null,
+      source: "detected",
+      signals: [],
+    };
+  }
+
+  for (const candidate of candidates) {
+    const chosen = candidate.type === detected.type;
+    let reason;
+    if (requested) reason = `document_type set to ${requested}`;
+    else if (candidate !== best) reason = `fewer signals than ${best.type}`;
+    else reason = `confidence not above ${MIN_CONFIDENCE}`;
+    trace.add("document_type", {
+      ...candidate,
+      chosen,
+      ...(!chosen && { reason }),
+    });
+  }
+
+  logger.info("Document type detected", {
+    requestId,
+    type: detected.type,
+    confidence: detected.confidence,
+    source: detected.source,
+  });
+
+  return { ...detected, candidates };
+};
+
+/**
+ * How a type of document is extracted: the amount types returned, the fields it
+ * should have and the bounds its amounts should be within
+ * @param {object} rulePack - Compiled pack (see ruleService)
+ * @param {string} type - A document type of the pack, or "unknown"
+ * @returns {{returnedTypes: Array<string>, expectedFields: Array<string>,
+ *   amountBounds: {min: number|null, max: number|null}}}
+ */
+const profileFor = (rulePack, type) => {
+  const documentType = rulePack.documentTypes.find((d) => d.type === type);
+  return {
+    returnedTypes:
+      (documentType && documentType.returnedTypes) || DEFAULT_RETURNED_TYPES,
+    expectedFields: documentType ? documentType.expectedFields : [],
+    amountBounds: documentType
+      ? documentType.amountBounds
+      : { min: null, max: null },
+  };
+};
+
+// the pack as it applies to a type of document: categories meant for other
+// types ("approved" on a settlement letter) are left out
+const packForType = (rulePack, type) => ({
+  ...rulePack,
+  categories: rulePack.categories.filter(
+    (category) =>
+      !category.documentTypes || category.documentTypes.includes(type)
+  ),
+});
+
+// why an amount is outside its document type's bounds, null when it isn't
+const boundsProblem = (amount, { amountBounds }) => {
+  if (amountBounds.max !== null && amount.value > amountBounds.max) {
+    return `above ${amountBounds.max}`;
+  }
+  if (amountBounds.min !== null && amount.value < amountBounds.min) {
+    return `below ${amountBounds.min}`;
+  }
+  return null;
+};
+
+// flag returned amounts outside the bounds for review
+const flagOutOfBounds = (amounts, profile) =>
+  amounts.map((amount) =>
+    boundsProblem(amount, profile) ? { ...amount, needs_review: true } : amount
+  );
+
+/**
+ * The document type for the response: what was detected, the profile it was
+ * read with, the expected fields that weren't found and amounts out of bounds
+ * @param {object} detected - detectDocumentType's result
+ * @param {object} profile - profileFor's result
+ * @param {{metadata: object, amounts: Array<object>}} found - metadata and
+ *   every classified amount (not only the returned ones)
+ * @returns {object}
+ */
+const describeDocumentType = (detected, profile, { metadata, amounts }) => {
+  const has = (field) =>
+    field in metadata
+      ? metadata[field] !== null
+      : amounts.some((amount) => amount.type === field);
+
+  const warnings = amounts
+    .filter((amount) => profile.returnedTypes.includes(amount.type))
+    .map((amount) => ({ amount, problem: boundsProblem(amount, profile) }))
+    .filter(({ problem }) => problem)
+    .map(
+      ({ amount, problem }) =>
+        `${amount.type} ${amount.value} is ${problem} (${detected.type} bounds)`
+    );
+
+  return {
+    ...detected,
+    profile: {
+      returned_types: profile.returnedTypes,
+      expected_fields: profile.expectedFields,
+      amount_bounds: profile.amountBounds,
+    },
+    missing_fields: profile.expectedFields.filter((field) => !has(field)),
+    warnings,
+  };
+};
+
+module.exports = {
+  UNKNOWN,
+  DEFAULT_RETURNED_TYPES,
+  detectDocumentType,
+  profileFor,
+  packForType,
+  flagOutOfBounds,
+  describeDocumentType,
+};
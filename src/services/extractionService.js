@@ -0,0 +1,449 @@
+const config = require("../config/env");
+const logger = require("../utils/logger");
+const { AppError } = require("../middleware/errorHandler");
+const {
+  validateText,
+  validateFile,
+  validateInput,
+  validateReviewThreshold,
+  validateNumberFormat,
+  validateLanguages,
+  validateRuleSelection,
+  validateExplain,
+  validateDocumentType,
+} = require("../utils/validateInput");
+const { extractTextFromFile, extractTextFromString } = require("./ocrService");
+const {
+  normalizeAmounts,
+  validateNormalizedAmounts,
+} = require("./normalizationService");
+const { classifyAmounts } = require("./classificationService");
+const { parseSteps } = require("./preprocessService");
+const { parseNumber } = require("./numberFormatService");
+const { detectCurrency, currencyOfAmount } = require("./currencyService");
+const { locateAmount } = require("./provenanceService");
+const { scoreAmounts } = require("./confidenceService");
+const { extractLineItems } = require("./lineItemService");
+const { extractTaxBreakdown } = require("./taxService");
+const { extractMetadata } = require("./metadataService");
+const { reconcileAmounts } = require("./reconciliationService");
+const { createBudget } = require("./budgetService");
+const { selectRulePack, describeRulePack } = require("./ruleService");
+const { createTrace } = require("./traceService");
+const {
+  UNKNOWN,
+  DEFAULT_RETURNED_TYPES,
+  detectDocumentType,
+  profileFor,
+  packForType,
+  flagOutOfBounds,
+  describeDocumentType,
+} = require("./documentTypeService");
+
+// optional "number_format" field (auto, indian, western, european), null when not set
+const getNumberFormat = (body) => {
+  const result = validateNumberFormat(body && body.number_format);
+  if (!result.success) {
+    throw new AppError(result.error, 400, "invalid_input");
+  }
+  return result.data;
+};
+
+// optional "languages" field (auto, or e.g. eng+hin), null for auto
+const getLanguages = (body) => {
+  const result = validateLanguages(body && body.languages);
+  if (!result.success) {
+    throw new AppError(result.error, 400, "invalid_input");
+  }
+  return result.data;
+};
+
+// optional "preprocess" field overrides the configured steps, e.g. "grayscale,threshold" or "none"
+const getOcrOptions = (body) => {
+  const numberFormat = getNumberFormat(body);
+  const languages = getLanguages(body);
+  return {
+    ...(body &&
+      body.preprocess !== undefined && {
+        preprocess: parseSteps(body.preprocess),
+      }),
+    ...(numberFormat && { numberFormat }),
+    ...(languages && { languages }),
+  };
+};
+
+// optional "tenant_id" / "hospital_id" fields, the rule pack to classify with
+const getRulePack = (body) => {
+  const result = validateRuleSelection(body);
+  if (!result.success) {
+    throw new AppError(result.error, 400, "invalid_input");
+  }
+  return selectRulePack(result.data);
+};
+
+// optional "explain" field, true for a trace of every pipeline decision
+const getExplain = (body) => {
+  const result = validateExplain(body && body.explain);
+  if (!result.success) {
+    throw new AppError(result.error, 400, "invalid_input");
+  }
+  return result.data;
+};
+
+// optional "document_type" field, one of the pack's types (or "unknown") to read the
+// document as instead of detecting it, null when not set
+const getDocumentType = (body, rulePack) => {
+  const result = validateDocumentType(body && body.document_type, [
+    ...rulePack.documentTypes.map((d) => d.type),
+    UNKNOWN,
+  ]);
+  if (!result.success) {
+    throw new AppError(result.error, 400, "invalid_input");
+  }
+  return result.data;
+};
+
+// optional "review_threshold" field (0-1), null when the request didn't set one
+const getReviewThreshold = (body) => {
+  const result = validateReviewThreshold(body && body.review_threshold);
+  if (!result.success) {
+    throw new AppError(result.error, 400, "invalid_input");
+  }
+  return result.data;
+};
+
+/**
+ * Validate an extraction request up front, so queued jobs can be rejected before
+ * they are accepted
+ * @param {{text?: string, file?: object, body?: object}} input - See runExtraction
+ * @returns {{reviewThreshold: number|null, ocrOptions: object, rulePack: object,
+ *   explain: boolean, documentType: string|null}}
+ */
+const validateExtractionInput = ({ text, file, body = {} }) => {
+  // Validate that at least one input is provided
+  const inputValidation = validateInput(text, file);
+  if (!inputValidation.success) {
+    throw new AppError(inputValidation.error, 400, "invalid_input");
+  }
+
+  if (file) {
+    const fileValidation = validateFile(file);
+    if (!fileValidation.success) {
+      throw new AppError(fileValidation.error, 400, "invalid_file");
+    }
+  } else {
+    const textValidation = validateText(text);
+    if (!textValidation.success) {
+      throw new AppError(textValidation.error, 400, "invalid_text");
+    }
+  }
+
+  const rulePack = getRulePack(body);
+  return {
+    reviewThreshold: getReviewThreshold(body),
+    ocrOptions: getOcrOptions(body),
+    rulePack,
+    explain: getExplain(body),
+    documentType: getDocumentType(body, rulePack),
+  };
+};
+
+// the classified amounts the response returns, the types the document type's
+// profile returns (the others only help classify and reconcile), telling trace
+// (traceService) why each of the others isn't
+const selectReturnedAmounts = (
+  amounts,
+  trace = createTrace(),
+  returnedTypes = DEFAULT_RETURNED_TYPES
+) =>
+  amounts.filter((amount) => {
+    const kept = returnedTypes.includes(amount.type);
+    trace.add("filtering", {
+      type: amount.type,
+      value: amount.value,
+      kept,
+      ...(!kept && {
+        reason:
+          amount.type === "other"
+            ? "no label matched"
+            : `only ${returnedTypes.join(", ")} are returned`,
+      }),
+    });
+    return kept;
+  });
+
+// all 4 steps on one document, see runExtraction
+const runPipeline = async (
+  input,
+  requestId,
+  { onProgress, budget, rulePack, trace }
+) => {
+  const { text, file } = input;
+  const { reviewThreshold, ocrOptions, documentType } =
+    validateExtractionInput(input);
+  const report = (event) => onProgress && onProgress(event);
+
+  // step 1: extract text and numbers from the image / pdf, or the text as given
+  report({ stage: "received", input: file ? "file" : "text" });
+  const ocrResult = file
+    ? await extractTextFromFile(file, requestId, {
+        ...ocrOptions,
+        onProgress,
+        budget,
+        trace,
+      })
+    : await extractTextFromString(text, requestId, { ...ocrOptions, trace });
+
+  // Check for guardrail conditions
+  if (ocrResult.status === "no_amounts_found") {
+    return {
+      status: "no_amounts_found",
+      reason: ocrResult.reason,
+      // numbers that were there but aren't money (dates, phone numbers, ...)
+      ...(ocrResult.excluded_numbers && {
+        excluded_numbers: ocrResult.excluded_numbers,
+      }),
+    };
+  }
+
+  // with a review threshold, a noisy document goes on and its weak amounts get flagged instead
+  if (ocrResult.status === "low_confidence" && reviewThreshold === null) {
+    return {
+      status: "low_confidence",
+      reason: ocrResult.reason,
+      confidence: ocrResult.confidence,
+      ...(ocrResult.quality_warnings && {
+        quality_warnings: ocrResult.quality_warnings,
+      }),
+    };
+  }
+
+  if (ocrResult.status === "poor_image_quality") {
+    return {
+      status: "poor_image_quality",
+      reason: ocrResult.reason,
+      reasons: ocrResult.reasons,
+      quality: ocrResult.quality,
+    };
+  }
+
+  // step 2: fix ocr errors
+  report({ stage: "normalization" });
+  const normalizationResult = normalizeAmounts(
+    ocrResult.raw_tokens,
+    requestId,
+    ocrResult.number_format,
+    trace
+  );
+
+  // Validate normalized amounts
+  const validationResult = validateNormalizedAmounts(
+    normalizationResult.normalized_amounts
+  );
+  if (!validationResult.valid) {
+    return {
+      status: "invalid_amounts",
+      reason: validationResult.reason,
+    };
+  }
+
+  // pharmacy bill, opd receipt, settlement letter, ...: picks the profile the
+  // document is read with
+  report({ stage: "document_type" });
+  const detected = detectDocumentType(ocrResult.raw_text, rulePack, requestId, {
+    requested: documentType,
+    trace,
+  });
+  const profile = profileFor(rulePack, detected.type);
+
+  // step 3: classify amounts
+  report({ stage: "classification" });
+  const classificationResult = classifyAmounts(
+    ocrResult.raw_text,
+    normalizationResult.normalized_amounts,
+    requestId,
+    ocrResult.number_format,
+    packForType(rulePack, detected.type),
+    ocrResult.layout,
+    trace
+  );
+
+  // bill number, dates, patient, provider, gstin: read from the same lines
+  report({ stage: "metadata" });
+  const metadata = extractMetadata(
+    { layout: ocrResult.layout, text: ocrResult.raw_text },
+    requestId
+  );
+
+  // step 4: filter to the types the profile returns (total_bill, paid, due)
+  report({ stage: "scoring" });
+  const currency = detectCurrency(ocrResult.raw_text);
+  const currencyContext = {
+    text: ocrResult.raw_text,
+    document: currency,
+    parse: (number) => parseNumber(number, ocrResult.number_format),
+  };
+  const threshold =
+    reviewThreshold !== null ? reviewThreshold : config.amountReviewThreshold;
+  const scoredAmounts = scoreAmounts(
+    selectReturnedAmounts(
+      classificationResult.amounts,
+      trace,
+      profile.returnedTypes
+    ),
+    {
+      layout: ocrResult.layout,
+      rawTokens: ocrResult.raw_tokens,
+      documentConfidence: ocrResult.confidence,
+      numberFormat: ocrResult.number_format,
+    },
+    threshold
+  ).map((amount) => ({
+    type: amount.type,
+    value: amount.value,
+    // from the symbol or code printed next to it, else the document's currency
+    ...currencyOfAmount(amount, currencyContext),
+    source: amount.source,
+    confidence: amount.confidence,
+    confidence_breakdown: amount.confidence_breakdown,
+    needs_review: amount.needs_review,
+    // page and boxes of the value and its label, for uploaded files only
+    ...(ocrResult.layout && locateAmount(amount, ocrResult.layout)),
+  }));
+  // amounts outside the profile's bounds (a 5 lakh pharmacy bill) get a look
+  const filteredAmounts = flagOutOfBounds(scoredAmounts, profile);
+
+  // itemized charges, read from word positions for files and column alignment for text
+  report({ stage: "line_items" });
+  const lineItems = extractLineItems(
+    {
+      layout: ocrResult.layout,
+      text: ocrResult.raw_text,
+      numberFormat: ocrResult.number_format,
+    },
+    requestId
+  );
+
+  // tax lines with their rates, discounts resolved from percentages
+  report({ stage: "taxes" });
+  const taxBreakdown = extractTaxBreakdown(
+    {
+      layout: ocrResult.layout,
+      text: ocrResult.raw_text,
+      numberFormat: ocrResult.number_format,
+      amounts: classificationResult.amounts,
+      lineItems: lineItems.items,
+    },
+    requestId
+  );
+
+  // do the amounts add up, and which single misread would make them
+  report({ stage: "reconciliation" });
+  const reconciliation = reconcileAmounts(
+    {
+      amounts: classificationResult.amounts,
+      lineItems: lineItems.items,
+      taxBreakdown,
+    },
+    requestId
+  );
+
+  const response = {
+    currency: currency.currency,
+    // how sure that is: "default" means no symbol or code was found at all
+    currency_confidence: currency.confidence,
+    currency_source: currency.source,
+    // every currency on the document, main one first (a usd bill with an aed deposit)
+    currencies: currency.currencies,
+    number_format: ocrResult.number_format,
+    // languages the document is written in, from its scripts
+    languages: ocrResult.languages,
+    document_type: describeDocumentType(detected, profile, {
+      metadata,
+      amounts: classificationResult.amounts,
+    }),
+    metadata,
+    amounts: filteredAmounts,
+    excluded_numbers: ocrResult.excluded_numbers,
+    line_items: lineItems.items,
+    line_items_check: lineItems.check,
+    tax_breakdown: taxBreakdown.taxes,
+    discounts: taxBreakdown.discounts,
+    reconciliation,
+    status: "ok",
+    review_threshold: threshold,
+    // non-blocking photo issues (glare, cut off edges) the app may still want to show
+    ...(ocrResult.quality_warnings && {
+      quality_warnings: ocrResult.quality_warnings,
+    }),
+  };
+
+  logger.info("Extraction pipeline completed successfully", {
+    requestId,
+    amountsExtracted: filteredAmounts.length,
+    status: "ok",
+  });
+
+  return response;
+};
+
+/**
+ * Run all 4 steps on one document and build the response body. Used by the
+ * synchronous endpoint and by background jobs. Every stage runs under the time
+ * budget (REQUEST_TIMEOUT_MS and the per-stage limits), running out of it fails
+ * with ocr_timeout and aborting `signal` stops the ocr in flight
+ * @param {{text?: string, file?: object, body?: object}} input - text or uploaded file,
+ *   body holds the other request fields (preprocess, review_threshold, number_format,
+ *   languages, tenant_id, hospital_id, document_type, explain)
+ * @param {string} requestId - Request ID for logging
+ * @param {{onProgress?: Function, signal?: AbortSignal}} options - onProgress receives an
+ *   event per stage ({stage: "preprocessing" | "ocr" | "normalization" | ..., page?, pass?, percent?}),
+ *   signal cancels the extraction (client disconnected, job cancelled)
+ * @returns {Promise<object>} Response body, guardrail results included, with rule_pack
+ *   and time_budget, and with explain set the trace of every stage's decisions
+ */
+const runExtraction = async (input, requestId, { onProgress, signal } = {}) => {
+  const budget = createBudget({ signal });
+  // picked once, a reload halfway through doesn't change the rules for this document
+  const rulePack = getRulePack(input.body);
+  const trace = createTrace({ enabled: getExplain(input.body) });
+
+  try {
+    const response = await runPipeline(input, requestId, {
+      onProgress,
+      budget,
+      rulePack,
+      trace,
+    });
+    return {
+      ...response,
+      rule_pack: describeRulePack(rulePack),
+      time_budget: budget.usage(),
+      ...(trace.enabled && { explain: trace.report() }),
+    };
+  } catch (error) {
+    if (error.errorCode === "ocr_timeout") {
+      logger.warn("Extraction ran out of time", {
+        requestId,
+        stage: error.stage,
+        ...budget.usage(),
+      });
+    }
+    throw error;
+  } finally {
+    budget.finish();
+    logger.info("Extraction time budget used", { requestId, ...budget.usage() });
+  }
+};
+
+module.exports = {
+  runExtraction,
+  validateExtractionInput,
+  getOcrOptions,
+  getReviewThreshold,
+  getNumberFormat,
+  getRulePack,
+  getExplain,
+  getDocumentType,
+  selectReturnedAmounts,
+};
@@ -0,0 +1,214 @@
+const crypto = require("crypto");
+const config = require("../config/env");
+const logger = require("../utils/logger");
+const { AppError } = require("../middleware/errorHandler");
+const { runExtraction, validateExtractionInput } = require("./extractionService");
+const { deliverWebhook } = require("./webhookService");
+
+// every job we know about, plus the ids still waiting for a slot
+const jobs = new Map();
+const queue = [];
+let running = 0;
+
+const FINISHED = ["completed", "failed", "cancelled"];
+
+// what clients see, never the uploaded file itself
+const toPublicJob = (job) => ({
+  job_id: job.id,
+  status: job.status,
+  created_at: job.createdAt,
+  ...(job.startedAt && { started_at: job.startedAt }),
+  ...(job.finishedAt && { finished_at: job.finishedAt }),
+  ...(job.status === "queued" && { queue_position: queue.indexOf(job.id) + 1 }),
+  ...(job.result && { result: job.result }),
+  ...(job.error && { error: job.error }),
+  ...(job.callback && { callback: job.callback }),
+});
+
+// tell the caller's callback url, the body is what POST /api/extract would have answered
+const notifyCallback = (job) => {
+  if (!job.callback || !["completed", "failed"].includes(job.status)) return;
+
+  deliverWebhook(
+    {
+      url: job.callback.url,
+      event: `extraction.${job.status}`,
+      payload: job.result || { status: "error", ...job.error },
+      jobId: job.id,
+      requestId: job.requestId,
+    },
+    job.callback
+  );
+};
+
+const finishJob = (job, status, fields = {}) => {
+  job.status = status;
+  job.finishedAt = new Date().toISOString();
+  // the upload is only needed while processing, don't keep it for the retention period
+  job.input = null;
+  Object.assign(job, fields);
+};
+
+const runJob = async (job) => {
+  running++;
+  job.status = "running";
+  job.startedAt = new Date().toISOString();
+  // lets cancelJob stop the ocr in flight
+  job.controller = new AbortController();
+  logger.info("Extraction job started", { requestId: job.requestId, jobId: job.id });
+
+  try {
+    const result = await runExtraction(job.input, job.requestId, {
+      signal: job.controller.signal,
+    });
+    // cancelled while running: whatever finished isn't wanted any more
+    if (job.status === "running") {
+      finishJob(job, "completed", { result });
+    }
+  } catch (error) {
+    if (job.status === "running") {
+      logger.warn("Extraction job failed", {
+        requestId: job.requestId,
+        jobId: job.id,
+        error: error.message,
+      });
+      finishJob(job, "failed", {
+        error: {
+          error_code: error.errorCode || "processing_failed",
+          message: error.isOperational
+            ? error.message
+            : "Failed to process the request",
+        },
+      });
+    }
+  } finally {
+    job.controller = null;
+    running--;
+    logger.info("Extraction job finished", {
+      requestId: job.requestId,
+      jobId: job.id,
+      status: job.status,
+    });
+    notifyCallback(job);
+    drainJobs();
+  }
+};
+
+// start queued jobs while there are free slots
+const drainJobs = () => {
+  while (running < config.jobConcurrency && queue.length > 0) {
+    const job = jobs.get(queue.shift());
+    if (job && job.status === "queued") runJob(job);
+  }
+};
+
+// drop finished jobs once their results have been kept long enough
+const pruneJobs = () => {
+  const cutoff = Date.now() - config.jobRetentionMs;
+  for (const [id, job] of jobs) {
+    if (FINISHED.includes(job.status) && Date.parse(job.finishedAt) < cutoff) {
+      jobs.delete(id);
+    }
+  }
+};
+
+setInterval(pruneJobs, Math.min(config.jobRetentionMs, 60000)).unref();
+
+/**
+ * Queue an extraction and return straight away. Input is validated now so bad
+ * requests fail with a 400 instead of a failed job
+ * @param {{text?: string, file?: object, body?: object}} input - Same inputs as POST /api/extract
+ * @param {string} requestId - Request ID of the submitting request
+ * @param {{callbackUrl?: string|null}} options - URL to POST the result to once finished
+ * @returns {object} Public view of the new job
+ */
+const createJob = (input, requestId, { callbackUrl = null } = {}) => {
+  validateExtractionInput(input);
+
+  if (queue.length >= config.jobQueueMax) {
+    throw new AppError(
+      "Too many jobs waiting, please retry shortly",
+      503,
+      "job_queue_full"
+    );
+  }
+
+  const job = {
+    id: crypto.randomUUID(),
+    requestId,
+    status: "queued",
+    createdAt: new Date().toISOString(),
+    input,
+    ...(callbackUrl && { callback: { url: callbackUrl, status: "waiting", attempts: 0 } }),
+  };
+  jobs.set(job.id, job);
+  queue.push(job.id);
+
+  logger.info("Extraction job queued", {
+    requestId,
+    jobId: job.id,
+    queued: queue.length,
+  });
+
+  drainJobs();
+  return toPublicJob(job);
+};
+
+const findJob = (id) => {
+  const job = jobs.get(id);
+  if (!job) {
+    throw new AppError("Job not found or expired", 404, "job_not_found");
+  }
+  return job;
+};
+
+/**
+ * Status of a job, with the extraction result once it has completed
+ * @param {string} id - Job ID
+ * @returns {object} Public view of the job
+ */
+const getJob = (id) => toPublicJob(findJob(id));
+
+/**
+ * Cancel a queued or running job. A running extraction is aborted, its ocr worker
+ * is recycled so the next job can have it
+ * @param {string} id - Job ID
+ * @returns {object} Public view of the cancelled job
+ */
+const cancelJob = (id) => {
+  const job = findJob(id);
+
+  if (FINISHED.includes(job.status)) {
+    throw new AppError(
+      `Job already ${job.status}`,
+      409,
+      "job_already_finished"
+    );
+  }
+
+  const position = queue.indexOf(id);
+  if (position !== -1) queue.splice(position, 1);
+
+  finishJob(job, "cancelled");
+  if (job.controller) {
+    job.controller.abort(new AppError("Job was cancelled", 499, "job_cancelled"));
+  }
+  logger.info("Extraction job cancelled", { requestId: job.requestId, jobId: id });
+
+  return toPublicJob(job);
+};
+
+// queue usage, handy for health checks
+const getJobStats = () => ({
+  running,
+  queued: queue.length,
+  maxQueue: config.jobQueueMax,
+  retained: jobs.size,
+});
+
+module.exports = {
+  createJob,
+  getJob,
+  cancelJob,
+  getJobStats,
+};
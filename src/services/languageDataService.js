@@ -0,0 +1,74 @@
+const fs = require("fs");
+const path = require("path");
+const config = require("../config/env");
+
+// size of a file in bytes, or null when it doesn't exist / isn't a file
+const fileSize = (filePath) => {
+  try {
+    const stats = fs.statSync(filePath);
+    return stats.isFile() ? stats.size : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// where tesseract will find one language, mirroring its own lookup order
+const findLanguageFile = (lang) => {
+  // tesseract checks the cache first, which only ever holds uncompressed data
+  const candidates = [
+    { file: path.join(config.ocrCachePath, `${lang}.traineddata`), gzip: null },
+    { file: path.join(config.ocrLangPath, `${lang}.traineddata`), gzip: false },
+    { file: path.join(config.ocrLangPath, `${lang}.traineddata.gz`), gzip: true },
+  ];
+
+  return candidates
+    .map((c) => ({ ...c, bytes: fileSize(c.file) }))
+    .filter((c) => c.bytes);
+};
+
+/**
+ * Check that every configured OCR language is available on local disk, so
+ * tesseract never falls back to downloading it from the CDN
+ * @returns {{ok: boolean, languages: string[], langPath: string, cachePath: string,
+ *   gzip: boolean, files: Array<{lang: string, file: string, bytes: number}>, missing: string[]}}
+ */
+const checkLanguageData = () => {
+  const languages = config.ocrLanguages.split("+").filter(Boolean);
+  const found = languages.map((lang) => ({
+    lang,
+    candidates: findLanguageFile(lang),
+  }));
+
+  // gzip is a per-worker setting, so pick the mode that covers every language
+  // not already sitting uncompressed in the cache
+  const pickMode = (gzip) =>
+    found.every(({ candidates }) =>
+      candidates.some((c) => c.gzip === null || c.gzip === gzip)
+    );
+  const gzip = pickMode(false) ? false : pickMode(true);
+
+  const files = [];
+  const missing = [];
+  for (const { lang, candidates } of found) {
+    const match = candidates.find((c) => c.gzip === null || c.gzip === gzip);
+    if (match) {
+      files.push({ lang, file: match.file, bytes: match.bytes });
+    } else {
+      missing.push(lang);
+    }
+  }
+
+  return {
+    ok: missing.length === 0,
+    languages,
+    langPath: config.ocrLangPath,
+    cachePath: config.ocrCachePath,
+    gzip,
+    files,
+    missing,
+  };
+};
+
+module.exports = {
+  checkLanguageData,
+};
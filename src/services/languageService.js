@@ -0,0 +1,245 @@
+// indian scripts: the tesseract languages written in them and where their digits start
+const SCRIPTS = [
+  { script: "devanagari", range: [0x0900, 0x097f], zero: 0x0966, languages: ["hin", "mar"] },
+  { script: "bengali", range: [0x0980, 0x09ff], zero: 0x09e6, languages: ["ben"] },
+  { script: "gurmukhi", range: [0x0a00, 0x0a7f], zero: 0x0a66, languages: ["pan"] },
+  { script: "gujarati", range: [0x0a80, 0x0aff], zero: 0x0ae6, languages: ["guj"] },
+  { script: "odia", range: [0x0b00, 0x0b7f], zero: 0x0b66, languages: ["ori"] },
+  { script: "tamil", range: [0x0b80, 0x0bff], zero: 0x0be6, languages: ["tam"] },
+  { script: "telugu", range: [0x0c00, 0x0c7f], zero: 0x0c66, languages: ["tel"] },
+  { script: "kannada", range: [0x0c80, 0x0cff], zero: 0x0ce6, languages: ["kan"] },
+  { script: "malayalam", range: [0x0d00, 0x0d7f], zero: 0x0d66, languages: ["mal"] },
+];
+
+// digits from other numeral systems that show up on bills, arabic-indic for urdu
+const DIGIT_ZEROS = [...SCRIPTS.map((s) => s.zero), 0x0660, 0x06f0];
+
+// every non-ascii digit we read, e.g. for a tesseract whitelist
+const NATIVE_DIGITS = DIGIT_ZEROS.map((zero) =>
+  String.fromCharCode(...Array.from({ length: 10 }, (_, i) => zero + i))
+).join("");
+
+const NATIVE_DIGIT = new RegExp(`[${NATIVE_DIGITS}]`, "g");
+
+/**
+ * Rewrite devanagari, tamil, kannada (etc) digits as ascii ones. Each digit is one
+ * character either way, so positions in the text don't move
+ * @param {string} text
+ * @returns {string}
+ */
+const normalizeDigits = (text) =>
+  text.replace(NATIVE_DIGIT, (digit) => {
+    const code = digit.charCodeAt(0);
+    const zero = DIGIT_ZEROS.find((z) => code >= z && code <= z + 9);
+    return String(code - zero);
+  });
+
+// letters (not digits) a script needs before the document counts as written in it
+const MIN_SCRIPT_LETTERS = 3;
+
+/**
+ * Languages a text is written in, judged from its scripts. A script maps to every
+ * language written in it (devanagari is hindi and marathi alike)
+ * @param {string} text
+ * @param {string[]} [loaded] - Only return these, e.g. the languages in OCR_LANGUAGES
+ * @returns {string[]} e.g. ["eng", "hin", "mar"]
+ */
+const detectLanguages = (text, loaded = null) => {
+  const counts = new Map();
+  let latin = 0;
+
+  for (const char of text || "") {
+    const code = char.charCodeAt(0);
+    if (/[a-z]/i.test(char)) {
+      latin++;
+      continue;
+    }
+    const script = SCRIPTS.find(
+      (s) =>
+        code >= s.range[0] &&
+        code <= s.range[1] &&
+        (code < s.zero || code > s.zero + 9)
+    );
+    if (script) counts.set(script, (counts.get(script) || 0) + 1);
+  }
+
+  const languages = latin >= MIN_SCRIPT_LETTERS ? ["eng"] : [];
+  for (const [script, count] of counts) {
+    if (count >= MIN_SCRIPT_LETTERS) languages.push(...script.languages);
+  }
+  return loaded ? languages.filter((lang) => loaded.includes(lang)) : languages;
+};
+
+// localized labels for each amount type, classificationService has the english ones
+const LABELS = {
+  total_bill: {
+    hin: ["कुल राशि", "कुल रकम", "कुल योग", "कुल देय", "कुल बिल", "कुल"],
+    mar: ["एकूण रक्कम", "एकूण बिल", "एकूण"],
+    tam: ["மொத்த தொகை", "மொத்தம்", "மொத்த"],
+    kan: ["ಒಟ್ಟು ಮೊತ್ತ", "ಒಟ್ಟು ಬಿಲ್", "ಒಟ್ಟು"],
+  },
+  paid: {
+    hin: ["भुगतान राशि", "भुगतान", "प्राप्त राशि", "जमा राशि", "जमा", "अदा"],
+    mar: ["भरलेली रक्कम", "दिलेली रक्कम", "जमा रक्कम", "जमा", "भरणा"],
+    tam: ["செலுத்திய தொகை", "செலுத்தியது", "செலுத்தப்பட்டது", "வரவு"],
+    kan: ["ಪಾವತಿಸಿದ ಮೊತ್ತ", "ಪಾವತಿಸಿದ", "ಪಾವತಿ", "ಜಮಾ"],
+  },
+  due: {
+    hin: ["शेष राशि", "शेष", "बकाया राशि", "बकाया", "बाकी", "देय राशि"],
+    mar: ["बाकी रक्कम", "शिल्लक रक्कम", "शिल्लक", "बाकी", "थकबाकी"],
+    tam: ["நிலுவைத் தொகை", "நிலுவை", "மீதித் தொகை", "மீதி", "பாக்கி"],
+    kan: ["ಬಾಕಿ ಮೊತ್ತ", "ಬಾಕಿ", "ಉಳಿಕೆ"],
+  },
+  discount: {
+    hin: ["छूट", "रियायत"],
+    mar: ["सवलत", "सूट"],
+    tam: ["தள்ளுபடி"],
+    kan: ["ರಿಯಾಯಿತಿ"],
+  },
+  tax: {
+    hin: ["जीएसटी", "कर"],
+    mar: ["जीएसटी", "कर"],
+    tam: ["ஜிஎஸ்டி", "வரி"],
+    kan: ["ತೆರಿಗೆ"],
+  },
+  consultation_fee: {
+    hin: ["परामर्श शुल्क", "डॉक्टर शुल्क", "परामर्श"],
+    mar: ["सल्ला शुल्क", "तपासणी शुल्क", "तपासणी फी"],
+    tam: ["ஆலோசனை கட்டணம்", "மருத்துவர் கட்டணம்"],
+    kan: ["ಸಮಾಲೋಚನೆ ಶುಲ್ಕ", "ವೈದ್ಯರ ಶುಲ್ಕ"],
+  },
+  medicine_cost: {
+    hin: ["दवाइयाँ", "दवाई", "दवा", "औषधि"],
+    mar: ["औषधे", "औषध"],
+    tam: ["மருந்துகள்", "மருந்து"],
+    kan: ["ಔಷಧಿಗಳು", "ಔಷಧಿ", "ಔಷಧ"],
+  },
+  lab_test_cost: {
+    hin: ["जाँच शुल्क", "जांच शुल्क", "जाँच", "जांच", "प्रयोगशाला"],
+    mar: ["चाचणी शुल्क", "चाचणी", "प्रयोगशाळा"],
+    tam: ["ஆய்வக கட்டணம்", "பரிசோதனை"],
+    kan: ["ಪ್ರಯೋಗಾಲಯ ಶುಲ್ಕ", "ಪರೀಕ್ಷೆ"],
+  },
+  room_charges: {
+    hin: ["कमरा शुल्क", "कमरे का किराया", "बेड शुल्क"],
+    mar: ["खोली भाडे", "खाट शुल्क"],
+    tam: ["அறை கட்டணம்", "அறை வாடகை"],
+    kan: ["ಕೊಠಡಿ ಶುಲ್ಕ", "ಕೊಠಡಿ ಬಾಡಿಗೆ"],
+  },
+  subtotal: {
+    hin: ["उप योग", "उप-योग"],
+    mar: ["उप एकूण", "उप-एकूण"],
+    tam: ["துணை மொத்தம்"],
+    kan: ["ಉಪ ಮೊತ್ತ"],
+  },
+};
+
+// indic letters and vowel signs, a label must not run on into them (\b only knows ascii)
+const INDIC = "\\u0900-\\u0DFF";
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// what \s matches, but the line break
+const SPACE_CHARS =
+  "\\t\\v\\f\\r \\u00a0\\u1680\\u2000-\\u200a\\u202f\\u205f\\u3000\\ufeff";
+
+/**
+ * Regex source with every \s kept to its line, so a label and its number are only
+ * matched on the same row. A label on the row above is for the layout to pair,
+ * by column (see classificationService). \s in a negated class already leaves
+ * line breaks out and stays
+ * @param {string} source
+ * @returns {string}
+ */
+const onOneLine = (source) => {
+  let result = "";
+  let inClass = false;
+  let negated = false;
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (char === "\\") {
+      const next = source[i + 1] || "";
+      if (next !== "s") result += char + next;
+      else if (!inClass) result += "[^\\S\\n]";
+      else result += negated ? "\\s" : SPACE_CHARS;
+      i++;
+      continue;
+    }
+    if (char === "[" && !inClass) {
+      inClass = true;
+      negated = source[i + 1] === "^";
+    } else if (char === "]" && inClass) {
+      inClass = false;
+    }
+    result += char;
+  }
+  return result;
+};
+
+// any of the labels as a whole word (regex source), longest first so "कुल राशि" beats "कुल"
+const labelPattern = (labels) =>
+  `(?<![a-z${INDIC}])(?:${[...new Set(labels)]
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegex)
+    .join("|")})(?![a-z${INDIC}])`;
+
+/**
+ * Regex for any of the labels followed by an optional currency (₹, रु., ரூ, "rs")
+ * and the number on the same line, which it captures. Labels are plain text in
+ * any script
+ * @param {string[]} labels
+ * @returns {RegExp} Global, for matchAll
+ */
+const labelAmountPattern = (labels) =>
+  new RegExp(
+    onOneLine(
+      `${labelPattern(labels)}[\\s:：\\-]*(?:[${INDIC}]{1,6}\\.?|[a-z]{2,3}\\.?|[^\\w\\s]{1,3})?\\s*(\\d(?:[\\d,.]*\\d)?)`
+    ),
+    "gi"
+  );
+
+/**
+ * Regex for any of the labels on their own, to find labels printed away from
+ * their number (the row above, another column)
+ * @param {string[]} labels
+ * @returns {RegExp} Global, for matchAll
+ */
+const labelOnlyPattern = (labels) => new RegExp(labelPattern(labels), "gi");
+
+// compiled once, classification runs them on every document
+const LABEL_PATTERNS = Object.fromEntries(
+  Object.entries(LABELS).map(([type, byLanguage]) => [
+    type,
+    {
+      amounts: Object.values(byLanguage).map(labelAmountPattern),
+      labels: Object.values(byLanguage).map(labelOnlyPattern),
+    },
+  ])
+);
+
+/**
+ * Classification patterns for the localized labels of one amount type
+ * @param {string} type - Amount type, e.g. "total_bill"
+ * @returns {{amounts: RegExp[], labels: RegExp[]}} One per language each, amounts
+ *   capture the number right after the label, labels match the label alone
+ */
+const localizedPatterns = (type) =>
+  LABEL_PATTERNS[type] || { amounts: [], labels: [] };
+
+// every localized label (regex source), to find amounts with context in token extraction
+const ANY_LABEL_PATTERN = labelPattern(
+  Object.values(LABELS).flatMap((byLanguage) =>
+    Object.values(byLanguage).flat()
+  )
+);
+
+module.exports = {
+  NATIVE_DIGITS,
+  ANY_LABEL_PATTERN,
+  normalizeDigits,
+  detectLanguages,
+  labelAmountPattern,
+  labelOnlyPattern,
+  localizedPatterns,
+  onOneLine,
+};
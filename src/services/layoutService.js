@@ -0,0 +1,162 @@
+const { NUMBER_PATTERN } = require("./numberFormatService");
+
+// two lines are one row when they overlap vertically by this share of the shorter one
+// (tesseract puts a label and its value in different blocks when they're columns apart)
+const ROW_OVERLAP = 0.5;
+
+// index of the row an offset in the grid's text falls on
+const rowAt = (rows, offset) => {
+  let low = 0;
+  let high = rows.length - 1;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (rows[middle].start <= offset) low = middle;
+    else high = middle - 1;
+  }
+  return low;
+};
+
+/**
+ * The document as rows of words from its own text, one row per line. x positions
+ * are character columns, so columns line up the way they were typed
+ * @param {string} text
+ * @returns {{text: string, positioned: false, rows: Array<object>}} text is lowercased,
+ *   word offsets point into it (and into the original text)
+ */
+const textGrid = (text) => {
+  const lower = text.toLowerCase();
+  const rows = [];
+  let offset = 0;
+
+  for (const line of lower.split("\n")) {
+    rows.push({
+      page: null,
+      start: offset,
+      end: offset + line.length,
+      words: [...line.matchAll(/\S+/g)].map((match) => ({
+        text: match[0],
+        start: offset + match.index,
+        end: offset + match.index + match[0].length,
+        x0: match.index,
+        x1: match.index + match[0].length,
+      })),
+    });
+    offset += line.length + 1;
+  }
+
+  return { text: lower, positioned: false, rows };
+};
+
+// merge the lines of one page into visual rows, top to bottom, words left to right
+const pageRows = (page) => {
+  const rows = [];
+  const lines = [...page.lines]
+    .filter((line) => line.bbox && line.words.length > 0)
+    .sort((a, b) => a.bbox.y0 + a.bbox.y1 - (b.bbox.y0 + b.bbox.y1));
+
+  for (const line of lines) {
+    const row = rows.find((r) => {
+      const overlap =
+        Math.min(r.y1, line.bbox.y1) - Math.max(r.y0, line.bbox.y0);
+      const shorter = Math.min(r.y1 - r.y0, line.bbox.y1 - line.bbox.y0);
+      return shorter > 0 && overlap >= shorter * ROW_OVERLAP;
+    });
+    if (row) {
+      row.words.push(...line.words);
+      row.y0 = Math.min(row.y0, line.bbox.y0);
+      row.y1 = Math.max(row.y1, line.bbox.y1);
+    } else {
+      rows.push({ words: [...line.words], y0: line.bbox.y0, y1: line.bbox.y1 });
+    }
+  }
+
+  return rows
+    .sort((a, b) => a.y0 - b.y0)
+    .map((row) => ({
+      ...row,
+      words: row.words.sort((a, b) => a.bbox.x0 - b.bbox.x0),
+    }));
+};
+
+/**
+ * The document as rows of words from the ocr / pdf layout: lines at the same height
+ * become one row even when they were read as separate blocks. x positions are pixels
+ * @param {Array<{page: number, lines: Array<object>}>} layout
+ * @returns {{text: string, positioned: true, rows: Array<object>}} text is the rows
+ *   joined by newlines (pages by a blank line), lowercased. each word keeps the
+ *   layout word it came from as `source`
+ */
+const layoutGrid = (layout) => {
+  const rows = [];
+  let text = "";
+
+  layout.forEach((page, pageIndex) => {
+    if (pageIndex > 0) text += "\n";
+    pageRows(page).forEach((row, rowIndex) => {
+      if (pageIndex > 0 || rowIndex > 0) text += "\n";
+      const start = text.length;
+      const words = row.words.map((word, wordIndex) => {
+        if (wordIndex > 0) text += " ";
+        const wordStart = text.length;
+        text += word.text.toLowerCase();
+        return {
+          text: word.text.toLowerCase(),
+          start: wordStart,
+          end: text.length,
+          x0: word.bbox.x0,
+          x1: word.bbox.x1,
+          source: word,
+        };
+      });
+      rows.push({ page: page.page, start, end: text.length, words });
+    });
+  });
+
+  return { text, positioned: true, rows };
+};
+
+/**
+ * Where a stretch of the grid's text sits: its row and horizontal extent
+ * @param {object} grid - From textGrid or layoutGrid
+ * @param {number} start - Offset in grid.text
+ * @param {number} end
+ * @returns {{row: number, x0: number, x1: number, words: Array<object>}}
+ */
+const locateSpan = (grid, start, end) => {
+  const row = rowAt(grid.rows, start);
+  const words = grid.rows[row].words.filter(
+    (w) => w.start < end && w.end > start
+  );
+
+  // typed text: the exact columns, a word can hold more than the span ("rs.500")
+  if (!grid.positioned) {
+    const rowStart = grid.rows[row].start;
+    return { row, x0: start - rowStart, x1: end - rowStart, words };
+  }
+  return {
+    row,
+    x0: Math.min(...words.map((w) => w.x0)),
+    x1: Math.max(...words.map((w) => w.x1)),
+    words,
+  };
+};
+
+/**
+ * Every printed number in the grid, in reading order
+ * @param {object} grid - From textGrid or layoutGrid
+ * @returns {Array<{printed: string, start: number, end: number, row: number, x0: number, x1: number, words: Array<object>}>}
+ */
+const findNumbers = (grid) =>
+  [...grid.text.matchAll(new RegExp(NUMBER_PATTERN, "g"))].map((match) => ({
+    printed: match[0],
+    start: match.index,
+    end: match.index + match[0].length,
+    ...locateSpan(grid, match.index, match.index + match[0].length),
+  }));
+
+module.exports = {
+  textGrid,
+  layoutGrid,
+  locateSpan,
+  findNumbers,
+};
@@ -0,0 +1,296 @@
+const logger = require("../utils/logger");
+const { normalizeToken } = require("./normalizationService");
+const { textGrid, layoutGrid } = require("./layoutService");
+const { unionBox } = require("./provenanceService");
+
+// a line's amount may be off its qty x rate by paise of rounding, 0.5% on large
+// amounts, not by a unit: "syringe 3 x 10.00 = 31.00" is wrong
+const MIN_TOLERANCE = 0.05;
+const RELATIVE_TOLERANCE = 0.005;
+// columns are read with a unit of slack, so a misprinted amount is still read as
+// qty x rate and then flagged
+const READING_SLACK = 1;
+
+// header words, mapped to the field of the column underneath them
+const HEADER_FIELDS = [
+  { field: "description", pattern: /^(?:description|particulars?|items?|services?|medicines?|details?)$/i },
+  { field: "quantity", pattern: /^(?:qty|quantity|units?|nos?\.?)$/i },
+  { field: "unit_rate", pattern: /^(?:rate|price|mrp|unit|unit\s*price)$/i },
+  { field: "tax", pattern: /^(?:gst|tax|vat|cgst|sgst|igst)(?:%|\(%\))?$/i },
+  { field: "amount", pattern: /^(?:amount|amt|total|value|net)$/i },
+];
+
+// rows that summarize the bill rather than charge for something
+const SUMMARY_ROW = /\b(?:sub\s*-?\s*total|total|grand|net\s*amount|paid|due|balance|discount|concession|rebate|round(?:ing|ed)?\s*off|amount\s*payable|received|advance|taxable)\b/i;
+// tax lines under the items ("cgst 9%: 45.00"), added to the subtotal rather than
+// part of it. only at the start, "syrup (incl. gst)" is still a charge
+const TAX_ROW = /^(?:[csi]?gst|utgst|vat|cess|(?:service\s*)?tax)\b/i;
+const SUBTOTAL_ROW = /\bsub\s*-?\s*total\b/i;
+const TOTAL_ROW = /\b(?:grand\s*total|total\s*(?:bill|amount)?|amount\s*payable)\b/i;
+
+// rows with numbers that aren't charges (ids, dates, phone numbers)
+const METADATA_ROW = /\b(?:bill|invoice|receipt|reg(?:istration)?|uhid|ip|op|mrn|patient|gstin|phone|mob(?:ile)?|tel|date|age|bed|ward|batch|exp(?:iry)?|hsn)\b/i;
+
+// a word that is a number, optionally with currency or a percent sign
+const NUMERIC_WORD = /^[₹$€£]?(?:rs\.?)?\d(?:[\d,.]*\d)?%?$/i;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// computed agrees with what was printed
+const close = (computed, printed) =>
+  Math.abs(computed - printed) <=
+  Math.max(MIN_TOLERANCE, Math.abs(printed) * RELATIVE_TOLERANCE);
+
+const roughly = (computed, printed) =>
+  close(computed, printed) || Math.abs(computed - printed) <= READING_SLACK;
+
+// the document's rows (see layoutService), so columns read as separate blocks are
+// one row. words keep their printed case, the grid lowercases its text
+const itemRows = (layout, text) => {
+  if (layout && layout.length > 0) {
+    return layoutGrid(layout).rows.map((row) => ({
+      page: row.page,
+      bbox: unionBox(row.words.map((w) => w.source)),
+      words: row.words.map((w) => ({ text: w.source.text, x0: w.x0, x1: w.x1 })),
+    }));
+  }
+  return textGrid(text).rows.map((row) => ({
+    words: row.words.map((w) => ({
+      text: text.slice(w.start, w.end),
+      x0: w.x0,
+      x1: w.x1,
+    })),
+  }));
+};
+
+// find the table header and where each of its columns sits
+const findHeader = (rows) => {
+  for (let index = 0; index < rows.length; index++) {
+    const columns = [];
+    for (const word of rows[index].words) {
+      const header = HEADER_FIELDS.find((h) => h.pattern.test(word.text));
+      if (header && !columns.some((c) => c.field === header.field)) {
+        columns.push({ field: header.field, x: (word.x0 + word.x1) / 2 });
+      }
+    }
+
+    // a real header names at least the amount column and one other number column
+    const fields = columns.map((c) => c.field);
+    if (
+      fields.includes("amount") &&
+      (fields.includes("quantity") || fields.includes("unit_rate"))
+    ) {
+      return { index, columns };
+    }
+  }
+  return null;
+};
+
+// split a row into its description and the run of numbers at the end
+const splitRow = (row, numberFormat) => {
+  let firstNumber = row.words.length;
+  while (
+    firstNumber > 0 &&
+    NUMERIC_WORD.test(row.words[firstNumber - 1].text.replace(/[:;]+$/, ""))
+  ) {
+    firstNumber--;
+  }
+
+  return {
+    description: row.words
+      .slice(0, firstNumber)
+      .map((w) => w.text)
+      .join(" ")
+      .replace(/[:\-]+$/, "")
+      .trim(),
+    numbers: row.words.slice(firstNumber).map((w) => ({
+      ...w,
+      percent: w.text.includes("%"),
+      value: normalizeToken(
+        w.text.replace(/^(?:rs\.?)/i, "").replace(/%/g, ""),
+        numberFormat
+      ),
+    })),
+  };
+};
+
+// assign numbers to columns using the header positions, numbers sitting under
+// the description column (strengths, pack sizes) stay part of the description
+const assignByHeader = (numbers, header) => {
+  const item = {};
+  let used = numbers.length;
+
+  numbers.forEach((number, index) => {
+    const center = (number.x0 + number.x1) / 2;
+    const column = header.columns.reduce((best, c) =>
+      Math.abs(c.x - center) < Math.abs(best.x - center) ? c : best
+    );
+    if (column.field === "description") {
+      used = numbers.length - index - 1;
+    } else if (column.field === "tax") {
+      item[number.percent ? "tax_rate" : "tax_amount"] = number.value;
+    } else if (item[column.field] === undefined) {
+      item[column.field] = number.value;
+    }
+  });
+  return { item, used };
+};
+
+// without a header, find the reading of the trailing numbers where qty x rate adds up
+const assignByArithmetic = (numbers) => {
+  // a percentage at the end of the row is the line's tax rate
+  const last = numbers[numbers.length - 1];
+  const percent = last && last.percent ? last : null;
+  const values = (percent ? numbers.slice(0, -1) : numbers).map((n) => n.value);
+  const item = percent ? { tax_rate: percent.value } : {};
+  const extra = percent ? 1 : 0;
+  const n = values.length;
+
+  if (n >= 4) {
+    const [q, r, t, a] = values.slice(-4);
+    if (t > 0 && roughly(q * r + t, a)) {
+      return {
+        item: { ...item, quantity: q, unit_rate: r, tax_amount: t, amount: a },
+        used: 4 + extra,
+      };
+    }
+  }
+  if (n >= 3) {
+    const [q, r, a] = values.slice(-3);
+    if (roughly(q * r, a)) {
+      return {
+        item: { ...item, quantity: q, unit_rate: r, amount: a },
+        used: 3 + extra,
+      };
+    }
+  }
+  if (n === 2) {
+    const [first, a] = values;
+    // a small whole number in front of the amount is a quantity, anything else a rate
+    if (Number.isInteger(first) && first < 1000 && !roughly(first, a)) {
+      return { item: { ...item, quantity: first, amount: a }, used: 2 + extra };
+    }
+    return { item: { ...item, unit_rate: first, amount: a }, used: 2 + extra };
+  }
+  return n > 0
+    ? { item: { ...item, amount: values[n - 1] }, used: 1 + extra }
+    : null;
+};
+
+// amounts on bills carry paise, bare integers are usually ids or counts
+const looksLikeMoney = (number) => /[.,]\d{2}$/.test(number.text);
+
+/**
+ * Pull itemized charges out of a bill: description, quantity, unit rate, amount
+ * and per-line tax, then check qty x rate = amount and that the items add up
+ * @param {{layout?: Array<object>, text?: string, numberFormat?: string}} source - OCR layout
+ *   (preferred) or plain text, and how the document prints its numbers
+ * @param {string} requestId - Request ID for logging
+ * @returns {{items: Array<object>, check: object}}
+ */
+const extractLineItems = ({ layout, text, numberFormat = "auto" }, requestId) => {
+  const rows = itemRows(layout, text || "");
+  const header = findHeader(rows);
+  const items = [];
+  let subtotal = null;
+  let total = null;
+  let taxes = 0;
+
+  for (let index = header ? header.index + 1 : 0; index < rows.length; index++) {
+    const row = rows[index];
+    const { description, numbers } = splitRow(row, numberFormat);
+    if (numbers.length === 0) continue;
+
+    if (SUMMARY_ROW.test(description) || TAX_ROW.test(description)) {
+      const last = numbers[numbers.length - 1].value;
+      if (TAX_ROW.test(description)) {
+        if (subtotal === null && total === null) taxes += last;
+      } else if (SUBTOTAL_ROW.test(description)) {
+        if (subtotal === null) subtotal = last;
+      } else if (TOTAL_ROW.test(description) && total === null) {
+        total = last;
+      }
+      continue;
+    }
+
+    if (!/[a-z]/i.test(description) || METADATA_ROW.test(description)) continue;
+    // outside a table only rows ending in a money-looking number count
+    const amountWord = [...numbers].reverse().find((n) => !n.percent);
+    if (!header && (!amountWord || !looksLikeMoney(amountWord))) continue;
+
+    const assignment = header
+      ? assignByHeader(numbers, header)
+      : assignByArithmetic(numbers);
+    const assigned = assignment && assignment.item;
+    if (!assigned || assigned.amount === undefined || assigned.amount === null) {
+      continue;
+    }
+
+    // leading numbers that weren't columns belong to the description ("dolo 650")
+    const fullDescription = [
+      description,
+      ...numbers.slice(0, numbers.length - assignment.used).map((n) => n.text),
+    ]
+      .join(" ")
+      .trim();
+
+    const quantityCheck =
+      assigned.quantity !== undefined && assigned.unit_rate !== undefined
+        ? close(
+            assigned.quantity * assigned.unit_rate + (assigned.tax_amount || 0),
+            assigned.amount
+          ) || close(assigned.quantity * assigned.unit_rate, assigned.amount)
+        : null;
+
+    items.push({
+      description: fullDescription,
+      quantity: assigned.quantity !== undefined ? assigned.quantity : null,
+      unit_rate: assigned.unit_rate !== undefined ? assigned.unit_rate : null,
+      amount: assigned.amount,
+      ...(assigned.tax_rate !== undefined && { tax_rate: assigned.tax_rate }),
+      ...(assigned.tax_amount !== undefined && { tax_amount: assigned.tax_amount }),
+      ...(row.page && { page: row.page, bbox: row.bbox }),
+      quantity_x_rate_matches: quantityCheck,
+    });
+  }
+
+  const itemsTotal = round2(items.reduce((sum, item) => sum + item.amount, 0));
+  const comparedTo = subtotal !== null ? "subtotal" : total !== null ? "total" : null;
+  // a total includes the tax lines printed above it, the items don't
+  const expected = subtotal !== null ? subtotal : total !== null ? round2(total - taxes) : null;
+
+  const warnings = items
+    .filter((item) => item.quantity_x_rate_matches === false)
+    .map(
+      (item) =>
+        `${item.description}: ${item.quantity} x ${item.unit_rate} doesn't match amount ${item.amount}`
+    );
+  const sumMatches = expected !== null && items.length > 0 ? close(itemsTotal, expected) : null;
+  if (sumMatches === false) {
+    warnings.push(
+      `Line items add up to ${itemsTotal} but the ${comparedTo} is ${expected}`
+    );
+  }
+
+  logger.info("Line items extracted", {
+    requestId,
+    items: items.length,
+    header: !!header,
+    sumMatches,
+  });
+
+  return {
+    items,
+    check: {
+      items_total: itemsTotal,
+      compared_to: comparedTo,
+      expected_total: expected,
+      matches: sumMatches,
+      warnings,
+    },
+  };
+};
+
+module.exports = {
+  extractLineItems,
+};
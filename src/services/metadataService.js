@@ -0,0 +1,631 @@
+const logger = require("../utils/logger");
+const { textGrid, layoutGrid } = require("./layoutService");
+
+// a label is a whole word: "date" inside "update" isn't one
+const wordStart = "(?<![\\p{L}\\d])";
+
+// what comes between a label and its value: "bill no.: ", "uhid - ", "invoice # "
+const SEPARATOR = /^[\s.:\-–#]*/u;
+
+// where a value ends when another field follows on the same line: two spaces or a
+// bar in typed text, else the next label
+const GAP = /\s{2,}|\s\|\s|\t/;
+
+const TITLE = "(?:mr|mrs|ms|miss|master|baby|b\\/o|smt|shri|sri|dr)\\.?\\s*";
+const MONTH = "(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?";
+const ID = "(?=[\\p{L}\\d\\/\\-]*\\d)[\\p{L}\\d][\\p{L}\\d\\/\\-]*";
+
+// how each kind of value is printed, read from the start of what follows the label
+const VALUES = {
+  id: new RegExp(`^(${ID})`, "u"),
+  date: new RegExp(
+    "^(\\d{4}[\\/\\-.]\\d{1,2}[\\/\\-.]\\d{1,2}" +
+      "|\\d{1,2}[\\/\\-.]\\d{1,2}[\\/\\-.]\\d{2,4}" +
+      `|\\d{1,2}(?:st|nd|rd|th)?[\\s\\-]*${MONTH}[\\s\\-,]*\\d{2,4}` +
+      `|${MONTH}\\s*\\d{1,2}(?:st|nd|rd|th)?,?\\s*\\d{2,4})`
+  ),
+  name: new RegExp(
+    `^((?:${TITLE})?[\\p{L}][\\p{L}\\p{M}.']*(?:\\s+[\\p{L}][\\p{L}\\p{M}.']*){0,5})`,
+    "u"
+  ),
+  text: /^([\p{L}\d][\p{L}\p{M}\d&.,'()\- ]*[\p{L}\p{M}\d.)])/u,
+  gstin: /^([0-9a-z]{15})(?![0-9a-z])/,
+  // "20b/mh/123, 21b/mh/124"
+  ids: new RegExp(`^(${ID}(?:\\s*[,&]\\s*${ID})*)`, "u"),
+};
+
+// the fields and the labels they're printed with, a more specific label scores higher
+const FIELDS = [
+  {
+    field: "bill_number",
+    value: "id",
+    labels: [
+      {
+        pattern:
+          "(?:bill|invoice|inv|receipt|cash\\s*memo)\\.?\\s*(?:no|number|num|id|#)",
+        confidence: 0.9,
+      },
+    ],
+  },
+  {
+    field: "bill_date",
+    value: "date",
+    labels: [
+      {
+        pattern:
+          "(?:bill|invoice|inv|receipt|billing)\\.?\\s*date|date\\s*of\\s*(?:bill|invoice|billing)",
+        confidence: 0.9,
+      },
+      // a plain "date", not a due date or a date of birth / admission / discharge
+      {
+        pattern:
+          "(?<!(?:admission|admit|discharge|due|expiry|exp|birth)\\.?\\s*)date(?!\\s*(?:&\\s*time\\s*)?of\\s*(?:birth|admission|discharge))",
+        confidence: 0.6,
+      },
+    ],
+  },
+  {
+    field: "admission_date",
+    value: "date",
+    labels: [
+      {
+        pattern:
+          "(?:date\\s*(?:&\\s*time\\s*)?of\\s*)?admission(?:\\s*date)?|admit(?:ted)?\\s*(?:on|date)|doa",
+        confidence: 0.9,
+      },
+    ],
+  },
+  {
+    field: "discharge_date",
+    value: "date",
+    labels: [
+      {
+        pattern:
+          "(?:date\\s*(?:&\\s*time\\s*)?of\\s*)?discharge(?:\\s*date)?|discharged\\s*on|disch\\.?\\s*date|dod",
+        confidence: 0.9,
+      },
+    ],
+  },
+  {
+    field: "patient_name",
+    value: "name",
+    labels: [
+      {
+        pattern:
+          "patient(?:'s)?\\s*name|name\\s*of\\s*(?:the\\s*)?patient|pt\\.?\\s*name",
+        confidence: 0.95,
+      },
+      {
+        pattern:
+          "patient(?!(?:'s)?\\s*(?:name|id|no|number|type|category|care|\\/))",
+        confidence: 0.75,
+      },
+      // a plain "name", not the doctor's or the hospital's
+      {
+        pattern:
+          "(?<!(?:doctor|dr|hospital|clinic|pharmacy|father|husband|guardian|company|insurer|tpa|store)'?s?\\.?\\s*)name",
+        confidence: 0.6,
+      },
+    ],
+  },
+  {
+    field: "patient_id",
+    value: "id",
+    labels: [
+      {
+        pattern:
+          "uhid|u\\.h\\.i\\.d|mrn|m\\.?r\\.?\\s*(?:no|number)|medical\\s*record\\s*(?:no|number)|patient\\s*id|ipd?\\s*(?:no|number)|umr\\s*no|hospital\\s*no",
+        confidence: 0.9,
+      },
+      {
+        pattern: "(?<!gst\\s*)reg(?:istration)?\\.?\\s*(?:no|number|id)",
+        confidence: 0.7,
+      },
+    ],
+  },
+  {
+    field: "provider_name",
+    value: "text",
+    labels: [
+      {
+        pattern: "(?:hospital|clinic|pharmacy|provider|store|facility)\\s*name",
+        confidence: 0.9,
+      },
+    ],
+  },
+  {
+    field: "doctor_name",
+    value: "name",
+    labels: [
+      {
+        pattern:
+          "(?:consultant|consulting|treating|attending|admitting|primary|referring)\\s*(?:doctor|physician|dr)\\.?|doctor(?:'s)?\\s*name|name\\s*of\\s*(?:the\\s*)?doctor",
+        confidence: 0.9,
+      },
+      {
+        pattern:
+          "(?:doctor|consultant)(?!(?:'s)?\\s*(?:fee|charge|visit|consult))|ref(?:erred)?\\.?\\s*by|under\\s*(?:the\\s*)?care\\s*of",
+        confidence: 0.8,
+      },
+    ],
+  },
+  {
+    field: "gstin",
+    value: "gstin",
+    labels: [
+      {
+        pattern:
+          "gstin(?:\\s*\\/\\s*uin)?(?:\\s*(?:no|number))?|gst\\s*(?:reg(?:istration)?\\.?\\s*)?(?:no|number|in)",
+        confidence: 0.95,
+      },
+    ],
+  },
+  {
+    field: "drug_license_number",
+    value: "ids",
+    labels: [
+      {
+        pattern:
+          "d\\.?\\s*l\\.?\\s*(?:no|number|nos)|drug\\s*lic(?:en[cs]e)?\\.?\\s*(?:no|number|nos)?",
+        confidence: 0.9,
+      },
+      { pattern: "lic(?:en[cs]e)?\\.?\\s*(?:no|number)", confidence: 0.6 },
+    ],
+  },
+];
+
+const compileLabel = (pattern) =>
+  new RegExp(`${wordStart}(?:${pattern})(?![\\p{L}])`, "gu");
+
+FIELDS.forEach((field) =>
+  field.labels.forEach((label) => {
+    label.regex = compileLabel(label.pattern);
+  })
+);
+
+// where a value stops when the next field is printed right after it
+const NEXT_LABEL = compileLabel(
+  [
+    ...FIELDS.flatMap((f) => f.labels.map((l) => l.pattern)),
+    "age",
+    "sex",
+    "gender",
+    "dob",
+    "ward",
+    "bed",
+    "room",
+    "ph",
+    "phone",
+    "mob(?:ile)?",
+    "tel",
+    "address",
+    "e-?mail",
+    "[swdc]\\/o",
+    "time",
+    "pan",
+  ].join("|")
+);
+
+// words that make the top line of a bill its provider's name
+const PROVIDER_WORD =
+  /(?<![\p{L}])(?:hospitals?|clinic|pharmacy|chemists?|druggists?|medicals?|medical\s*(?:centre|center|store|hall)|nursing\s*home|health\s*care|healthcare|diagnostics?|labs?|laborator(?:y|ies)|polyclinic|institute)(?![\p{L}])/u;
+// headings that are a document's title, not its provider
+const TITLE_ROW = /^(?:tax\s*)?(?:invoice|bill|receipt|cash\s*memo|estimate)\b/;
+// lines read for the provider when no label names it
+const PROVIDER_ROWS = 5;
+
+// a date can't be before this, or more than a day ahead of now
+const MIN_YEAR = 1990;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MONTHS = [
+  "jan",
+  "feb",
+  "mar",
+  "apr",
+  "may",
+  "jun",
+  "jul",
+  "aug",
+  "sep",
+  "oct",
+  "nov",
+  "dec",
+];
+
+// "24" is 2024, "98" is 1998
+const fullYear = (year) => {
+  if (year >= 100) return year;
+  const nextYear = (new Date().getUTCFullYear() + 1) % 100;
+  return year <= nextYear ? 2000 + year : 1900 + year;
+};
+
+// ways to read a printed date, likeliest first: bills here print day first
+const dateReadings = (printed) => {
+  const text = printed.toLowerCase();
+  let m = /^(\d{4})[/\-.](\d{1,2})[/\-.](\d{1,2})$/.exec(text);
+  if (m) return [{ year: +m[1], month: +m[2], day: +m[3] }];
+
+  m = /^(\d{1,2})[/\-.](\d{1,2})[/\-.](\d{2,4})$/.exec(text);
+  if (m) {
+    return [
+      { year: fullYear(+m[3]), month: +m[2], day: +m[1] },
+      { year: fullYear(+m[3]), month: +m[1], day: +m[2] },
+    ];
+  }
+
+  // "12 mar 2024", "mar 12, 2024": the day comes before the year either way
+  const month = MONTHS.findIndex((name) => text.includes(name)) + 1;
+  const [day, year] = text.match(/\d+/g) || [];
+  return [{ year: fullYear(+year), month, day: +day }];
+};
+
+const isCalendarDate = ({ year, month, day }) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return (
+    date.getUTCFullYear() === year &&
+    date.getUTCMonth() === month - 1 &&
+    date.getUTCDate() === day
+  );
+};
+
+const isoDate = ({ year, month, day }) =>
+  `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+
+/**
+ * Read a printed date as YYYY-MM-DD: day first ("12/03/2024" is 12 march) unless
+ * only month first makes a real date. A date is valid when it's a real calendar
+ * date, not before 1990 and not in the future
+ * @param {string} printed - "12/03/2024", "2024-03-12", "12 Mar 2024", "Mar 12, 2024"
+ * @returns {{value: string|null, valid: boolean}} value is null when no reading is a
+ *   real date
+ */
+const parseDate = (printed) => {
+  const reading = dateReadings(printed).find(isCalendarDate);
+  if (!reading) return { value: null, valid: false };
+
+  const time = Date.UTC(reading.year, reading.month - 1, reading.day);
+  return {
+    value: isoDate(reading),
+    valid: reading.year >= MIN_YEAR && time <= Date.now() + DAY_MS,
+  };
+};
+
+const BASE36 = "0123456789abcdefghijklmnopqrstuvwxyz";
+
+// the 15th character of a gstin, from the 14 before it
+const gstinCheckCharacter = (first14) => {
+  let sum = 0;
+  for (let i = 0; i < 14; i++) {
+    const product = BASE36.indexOf(first14[i]) * (i % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+  return BASE36[(36 - (sum % 36)) % 36];
+};
+
+// state code, pan (5 letters, 4 digits, a letter), entity number, "z", check character
+const GSTIN_SHAPE = /^\d{2}[a-z]{5}\d{4}[a-z][1-9a-z]z[0-9a-z]$/;
+const isGstinState = (code) =>
+  (code >= 1 && code <= 38) || code === 97 || code === 99;
+
+// where a gstin has digits, and where letters. ocr reads one for the other
+const GSTIN_DIGITS = [0, 1, 7, 8, 9, 10];
+const GSTIN_LETTERS = [2, 3, 4, 5, 6, 11, 13];
+const AS_DIGIT = {
+  o: "0",
+  d: "0",
+  q: "0",
+  i: "1",
+  l: "1",
+  z: "2",
+  s: "5",
+  g: "6",
+  b: "8",
+};
+const AS_LETTER = { 0: "o", 1: "i", 2: "z", 5: "s", 6: "g", 8: "b" };
+
+const isValidGstin = (gstin) =>
+  GSTIN_SHAPE.test(gstin) &&
+  isGstinState(Number(gstin.slice(0, 2))) &&
+  gstinCheckCharacter(gstin.slice(0, 14)) === gstin[14];
+
+/**
+ * Check a GSTIN: its shape, state code and check character. One that fails is read
+ * again with the letters and digits ocr confuses swapped back where the format
+ * wants the other (O in a digit position is 0, 8 in the pan's letters is B)
+ * @param {string} printed
+ * @returns {{value: string, valid: boolean, corrected_from?: string,
+ *   state_code?: string, pan?: string}} value is uppercased
+ */
+const checkGstin = (printed) => {
+  const read = printed.toLowerCase();
+  let gstin = read;
+  if (!isValidGstin(read)) {
+    const chars = read.split("");
+    GSTIN_DIGITS.forEach((i) => (chars[i] = AS_DIGIT[chars[i]] || chars[i]));
+    GSTIN_LETTERS.forEach((i) => (chars[i] = AS_LETTER[chars[i]] || chars[i]));
+    if (chars[13] === "2") chars[13] = "z";
+    if (isValidGstin(chars.join(""))) gstin = chars.join("");
+  }
+
+  const valid = isValidGstin(gstin);
+  return {
+    value: gstin.toUpperCase(),
+    valid,
+    ...(gstin !== read && { corrected_from: printed.toUpperCase() }),
+    ...(valid && {
+      state_code: gstin.slice(0, 2),
+      pan: gstin.slice(2, 12).toUpperCase(),
+    }),
+  };
+};
+
+// each row of the grid as printed (the grid itself is lowercased)
+const printedRows = (grid, text) =>
+  grid.rows.map((row) =>
+    grid.positioned
+      ? row.words.map((word) => word.source.text).join(" ")
+      : text.slice(row.start, row.end)
+  );
+
+// the page and box of a stretch of a row, for uploaded files
+const boxOf = (grid, rowIndex, start, end) => {
+  const row = grid.rows[rowIndex];
+  if (!grid.positioned) return {};
+
+  const words = row.words.filter(
+    (w) => w.start < row.start + end && w.end > row.start + start
+  );
+  if (words.length === 0) return { page: row.page, bbox: null };
+  const boxes = words.map((w) => w.source.bbox);
+  return {
+    page: row.page,
+    bbox: {
+      x0: Math.min(...boxes.map((b) => b.x0)),
+      y0: Math.min(...boxes.map((b) => b.y0)),
+      x1: Math.max(...boxes.map((b) => b.x1)),
+      y1: Math.max(...boxes.map((b) => b.y1)),
+    },
+  };
+};
+
+// what a value of this kind reads as, and how much that takes off its confidence
+const readValue = (kind, printed) => {
+  if (kind === "date") {
+    const date = parseDate(printed);
+    // a date that can't be (31/02/2024) comes back as printed, for a reviewer
+    return {
+      fields: {
+        value: date.value || printed.trim(),
+        printed,
+        valid: date.valid,
+      },
+      factor: date.valid ? 1 : 0.5,
+    };
+  }
+  if (kind === "gstin") {
+    const gstin = checkGstin(printed);
+    let factor = 0.5;
+    if (gstin.valid) factor = gstin.corrected_from ? 0.85 : 1;
+    return { fields: gstin, factor };
+  }
+  return {
+    fields: { value: printed.trim().replace(/[\s,.\-]+$/, "") },
+    factor: 1,
+  };
+};
+
+// one labelled printing of a field: the value after the label, up to the next
+// field on the line
+const readLabelled = (field, label, match, context) => {
+  const { grid, rows, printed } = context;
+  const lower = rows[match.row];
+  const afterLabel = match.index + match.length;
+  const start = afterLabel + SEPARATOR.exec(lower.slice(afterLabel))[0].length;
+
+  let end = lower.length;
+  const gap = grid.positioned ? null : GAP.exec(lower.slice(start));
+  if (gap) end = start + gap.index;
+  NEXT_LABEL.lastIndex = start + 1;
+  const next = NEXT_LABEL.exec(lower);
+  if (next && next.index < end) end = next.index;
+
+  const found = VALUES[field.value].exec(lower.slice(start, end));
+  if (!found) return null;
+
+  const valueEnd = start + found[1].length;
+  const { fields, factor } = readValue(
+    field.value,
+    printed[match.row].slice(start, valueEnd)
+  );
+  if (!fields.value || fields.value.length < 2) return null;
+
+  return {
+    ...fields,
+    label: lower.slice(match.index, afterLabel),
+    confidence: parseFloat((label.confidence * factor).toFixed(2)),
+    source: `text: '${printed[match.row].trim()}'`,
+    ...boxOf(grid, match.row, start, valueEnd),
+  };
+};
+
+// the most confident labelled printing of a field, the first one on a tie
+const findLabelled = (field, context) => {
+  let best = null;
+  for (const label of field.labels) {
+    context.rows.forEach((lower, row) => {
+      for (const match of lower.matchAll(label.regex)) {
+        const found = readLabelled(
+          field,
+          label,
+          { row, index: match.index, length: match[0].length },
+          context
+        );
+        if (found && (!best || found.confidence > best.confidence)) {
+          best = found;
+        }
+      }
+    });
+  }
+  return best;
+};
+
+// no label: the first line at the top naming a hospital, clinic or pharmacy
+const findProvider = ({ grid, rows, printed }) => {
+  const top = rows
+    .map((lower, row) => ({ lower: lower.trim(), row }))
+    .filter(({ lower }) => /\p{L}{2}/u.test(lower))
+    .slice(0, PROVIDER_ROWS);
+  const named = top.find(
+    ({ lower }) => PROVIDER_WORD.test(lower) && !TITLE_ROW.test(lower)
+  );
+  if (!named) return null;
+
+  // up to the next field or column, "city hospital   gstin: ..."
+  const lower = rows[named.row];
+  const start = lower.length - lower.trimStart().length;
+  const gap = grid.positioned ? null : GAP.exec(lower.slice(start));
+  NEXT_LABEL.lastIndex = start + 1;
+  const next = NEXT_LABEL.exec(lower);
+  const end = Math.min(
+    gap ? start + gap.index : lower.length,
+    next ? next.index : lower.length
+  );
+  const found = VALUES.text.exec(lower.slice(start, end));
+  if (!found) return null;
+
+  return {
+    value: printed[named.row].slice(start, start + found[1].length).trim(),
+    label: null,
+    confidence: 0.7,
+    source: `text: '${printed[named.row].trim()}'`,
+    ...boxOf(grid, named.row, start, start + found[1].length),
+  };
+};
+
+// no label: the first "dr." name on the bill
+const findDoctor = ({ grid, rows, printed }) => {
+  for (const [row, lower] of rows.entries()) {
+    const match = new RegExp(`${wordStart}dr\\.?\\s+`, "u").exec(lower);
+    if (!match) continue;
+    const found = VALUES.name.exec(lower.slice(match.index));
+    if (!found || found[1].length < match[0].length + 2) continue;
+
+    const end = match.index + found[1].length;
+    return {
+      value: printed[row].slice(match.index, end).trim(),
+      label: null,
+      confidence: 0.6,
+      source: `text: '${printed[row].trim()}'`,
+      ...boxOf(grid, row, match.index, end),
+    };
+  }
+  return null;
+};
+
+const GSTIN_WORD = /(?<![0-9a-z])[0-9a-z]{15}(?![0-9a-z])/g;
+
+// no label: anything shaped like a gstin whose check character adds up
+const findGstin = ({ grid, rows, printed }) => {
+  for (const [row, lower] of rows.entries()) {
+    for (const match of lower.matchAll(GSTIN_WORD)) {
+      const end = match.index + 15;
+      const gstin = checkGstin(printed[row].slice(match.index, end));
+      if (!gstin.valid) continue;
+      return {
+        ...gstin,
+        label: null,
+        confidence: gstin.corrected_from ? 0.75 : 0.85,
+        source: `text: '${printed[row].trim()}'`,
+        ...boxOf(grid, row, match.index, end),
+      };
+    }
+  }
+  return null;
+};
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// dates that can't all be right: discharged before admitted, billed before admitted
+const dateWarnings = (metadata) => {
+  const warnings = [];
+  // only dates that were read can be compared, not one left as printed
+  const valueOf = (field) =>
+    metadata[field] && ISO_DATE.test(metadata[field].value)
+      ? metadata[field].value
+      : null;
+  const admitted = valueOf("admission_date");
+  const discharged = valueOf("discharge_date");
+  const billed = valueOf("bill_date");
+
+  for (const field of ["bill_date", "admission_date", "discharge_date"]) {
+    const found = metadata[field];
+    if (found && !found.valid) {
+      warnings.push(
+        ISO_DATE.test(found.value)
+          ? `${field} ${found.value} is before ${MIN_YEAR} or in the future`
+          : `${field} "${found.printed}" is not a calendar date`
+      );
+    }
+  }
+  if (admitted && discharged && discharged < admitted) {
+    warnings.push("discharge_date is before admission_date");
+  }
+  if (admitted && billed && billed < admitted) {
+    warnings.push("bill_date is before admission_date");
+  }
+  if (metadata.gstin && !metadata.gstin.valid) {
+    warnings.push(
+      `gstin ${metadata.gstin.value} fails its format or check character`
+    );
+  }
+  return warnings;
+};
+
+/**
+ * Read the bill's details besides its amounts: bill number, bill, admission and
+ * discharge dates, patient name and id (uhid / mrn), hospital or pharmacy, doctor,
+ * gstin and drug license number. Each field found comes with the label it was read
+ * after, a confidence, its source line and, for files, its page and box; dates are
+ * read as YYYY-MM-DD and checked, a gstin has its check character verified
+ * @param {{layout?: Array<object>, text: string}} document - Word boxes for files,
+ *   else the text
+ * @param {string} requestId - Request ID for logging
+ * @returns {object} each field, null when not found, plus warnings
+ */
+const extractMetadata = ({ layout, text }, requestId) => {
+  const grid =
+    layout && layout.length > 0 ? layoutGrid(layout) : textGrid(text || "");
+  const context = {
+    grid,
+    rows: grid.rows.map((row) => grid.text.slice(row.start, row.end)),
+    printed: printedRows(grid, text || ""),
+  };
+
+  const metadata = {};
+  for (const field of FIELDS) {
+    metadata[field.field] = findLabelled(field, context);
+  }
+  metadata.provider_name = metadata.provider_name || findProvider(context);
+  metadata.doctor_name = metadata.doctor_name || findDoctor(context);
+  metadata.gstin = metadata.gstin || findGstin(context);
+
+  const warnings = dateWarnings(metadata);
+  logger.info("Bill metadata extracted", {
+    requestId,
+    found: Object.keys(metadata).filter((field) => metadata[field]),
+    warnings: warnings.length,
+  });
+
+  return { ...metadata, warnings };
+};
+
+// the fields extractMetadata returns, document type profiles can expect them
+const METADATA_FIELDS = FIELDS.map((field) => field.field);
+
+module.exports = {
+  METADATA_FIELDS,
+  extractMetadata,
+  parseDate,
+  checkGstin,
+};
@@ -1,7 +1,18 @@
+const config = require("../config/env");
 const logger = require("../utils/logger");
-
-// fix common ocr mistakes in numbers (l->1, O->0, etc)
-const normalizeAmounts = (rawTokens, requestId) => {
+const { parseNumber } = require("./numberFormatService");
+const { normalizeDigits } = require("./languageService");
+const { createTrace } = require("./traceService");
+
+// fix common ocr mistakes in numbers (l->1, O->0, etc), numberFormat says how the
+// document groups digits and marks decimals ("auto" judges each token alone). trace
+// (traceService) hears each token before and after, and the fixes made to it
+const normalizeAmounts = (
+  rawTokens,
+  requestId,
+  numberFormat = "auto",
+  trace = createTrace()
+) => {
   try {
     logger.info("Starting normalization", {
       requestId,
@@ -13,19 +24,27 @@ const normalizeAmounts = (rawTokens, requestId) => {
     let totalAttempts = 0;
 
     for (const token of rawTokens) {
-      totalAttempts++;
-
-      // Skip if token is a percentage (we'll handle separately)
+      // rates are read by normalizePercentages, they aren't amounts
       if (token.includes("%")) {
+        trace.add("normalization", { token, kept: false, reason: "percentage" });
         continue;
       }
+      totalAttempts++;
 
-      const normalized = normalizeToken(token);
+      const { value, cleaned, fixes } = readToken(token, numberFormat);
 
-      if (normalized !== null) {
-        normalizedAmounts.push(normalized);
+      if (value !== null) {
+        normalizedAmounts.push(value);
         successfulNormalizations++;
       }
+      trace.add("normalization", {
+        token,
+        cleaned,
+        value,
+        fixes,
+        kept: value !== null,
+        ...(value === null && { reason: "not a number after cleanup" }),
+      });
     }
 
     // Calculate normalization confidence
@@ -43,6 +62,10 @@ const normalizeAmounts = (rawTokens, requestId) => {
     return {
       normalized_amounts: normalizedAmounts,
       normalization_confidence: parseFloat(confidence.toFixed(2)),
+      // tax and discount rates ("18%"), in reading order
+      percentages: normalizePercentages(rawTokens, numberFormat).map(
+        (p) => p.value
+      ),
     };
   } catch (error) {
     logger.error("Normalization failed", {
@@ -53,12 +76,20 @@ const normalizeAmounts = (rawTokens, requestId) => {
   }
 };
 
-// clean up a single token and convert to number
-const normalizeToken = (token) => {
-  let normalized = token;
+// clean up a single token and convert to number, saying what had to be fixed
+// ("O → 0", "removed ₹") on the way
+const readToken = (token, numberFormat = "auto") => {
+  const fixes = [];
+
+  // devanagari / tamil / kannada digits, from callers posting their own tokens
+  let normalized = normalizeDigits(token);
+  if (normalized !== token) fixes.push("native digits read as ascii");
 
   // Remove any currency symbols that might have slipped through
-  normalized = normalized.replace(/[₹$€£]/g, "");
+  normalized = normalized.replace(/[₹$€£]/g, (symbol) => {
+    fixes.push(`removed ${symbol}`);
+    return "";
+  });
 
   // Common OCR mistakes - fix character substitutions
   const charReplacements = {
@@ -81,39 +112,54 @@ const normalizeToken = (token) => {
       `(\\d)${wrong}(?=\\d)|(?<=\\d)${wrong}(?=\\d)|^${wrong}(?=\\d)|(?<=\\d)${wrong}$`,
       "g"
     );
-    normalized = normalized.replace(regex, `$1${correct}`);
+    normalized = normalized.replace(regex, (match, digit = "") => {
+      fixes.push(`${wrong} → ${correct}`);
+      return digit + correct;
+    });
   }
 
   // Remove any remaining non-numeric characters except decimal point and comma
+  const removed = normalized.replace(/[0-9.,]/g, "");
+  if (removed) fixes.push(`removed "${removed}"`);
   normalized = normalized.replace(/[^0-9.,]/g, "");
 
-  // strip commas from numbers like 1,200 or 1,200.50
-  normalized = normalized.replace(/,/g, "");
+  // separators mean different things per format: 1,23,456.50 / 1.234,50 / 1200,50
+  const parsed = parseNumber(normalized, numberFormat);
 
   // Validate the result is a valid number
-  const parsed = parseFloat(normalized);
-
   if (isNaN(parsed) || parsed < 0) {
-    return null;
+    return { value: null, cleaned: normalized, fixes };
   }
 
   // Round to 2 decimal places
-  return Math.round(parsed * 100) / 100;
+  return { value: Math.round(parsed * 100) / 100, cleaned: normalized, fixes };
 };
 
+// clean up a single token and convert to number
+const normalizeToken = (token, numberFormat = "auto") =>
+  readToken(token, numberFormat).value;
+
+// how many characters ocr got wrong in an amount (letters read in place of digits)
+const countCorrections = (token) =>
+  token
+    .replace(/^(?:rs\.?|inr)/i, "")
+    .replace(/[₹$€£,.\s]|[:;]+$/g, "")
+    .replace(/\d/g, "").length;
+
 /**
  * Extract and normalize percentage values separately
  * @param {string[]} rawTokens - Raw tokens from OCR
+ * @param {string} [numberFormat] - How the document prints numbers ("12,5%" in european)
  * @returns {Array<{value: number, isPercentage: true}>}
  */
-const normalizePercentages = (rawTokens) => {
+const normalizePercentages = (rawTokens, numberFormat = "auto") => {
   const percentages = [];
 
   for (const token of rawTokens) {
     if (token.includes("%")) {
       // Extract numeric part
       const numericPart = token.replace("%", "").trim();
-      const normalized = normalizeToken(numericPart);
+      const normalized = normalizeToken(numericPart, numberFormat);
 
       if (normalized !== null) {
         percentages.push({
@@ -141,11 +187,8 @@ const validateNormalizedAmounts = (amounts) => {
     };
   }
 
-  // Check for unreasonably large amounts (> 10 million)
-  const maxReasonableAmount = 10000000;
-  const hasUnreasonableAmount = amounts.some(
-    (amt) => amt > maxReasonableAmount
-  );
+  // Check for unreasonably large amounts (MAX_AMOUNT, 1 crore by default)
+  const hasUnreasonableAmount = amounts.some((amt) => amt > config.maxAmount);
 
   if (hasUnreasonableAmount) {
     return {
@@ -168,6 +211,8 @@ const validateNormalizedAmounts = (amounts) => {
 
 module.exports = {
   normalizeAmounts,
+  normalizeToken,
+  countCorrections,
   normalizePercentages,
   validateNormalizedAmounts,
 };
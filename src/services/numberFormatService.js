@@ -0,0 +1,111 @@
+const config = require("../config/env");
+
+// digit grouping and decimal conventions a bill can be printed in
+const NUMBER_FORMATS = {
+  indian: { decimal: "." }, // 12,34,567.89 (lakh / crore grouping)
+  western: { decimal: "." }, // 1,234,567.89
+  european: { decimal: "," }, // 1.234.567,89
+};
+
+const FORMAT_NAMES = Object.keys(NUMBER_FORMATS);
+
+// a printed number with its separators, e.g. 1,23,456.00 or 1.234,56 (regex source)
+const NUMBER_PATTERN = "\\d(?:[\\d,.]*\\d)?";
+
+// what a single printed number says about the document's convention
+const FORMAT_EVIDENCE = [
+  // lakh grouping only exists in the indian system
+  { format: "indian", weight: 1, pattern: /^\d{1,2}(?:,\d{2})+,\d{3}(?:\.\d{1,2})?$/ },
+  // a lakh or more grouped in thousands
+  { format: "western", weight: 1, pattern: /^(?:\d{1,3}(?:,\d{3}){2,}|\d{3},\d{3})(?:\.\d{1,2})?$/ },
+  { format: "european", weight: 1, pattern: /^\d{1,3}(?:\.\d{3})+,\d{1,2}$/ },
+  // "12,50" is a decimal comma, though ocr also reads a dot as a comma now and then
+  { format: "european", weight: 0.5, pattern: /^\d+,\d{2}$/ },
+  // decimal dot, indian or western
+  { format: "dot", weight: 1, pattern: /^\d{1,3}(?:,\d{2,3})+\.\d{1,2}$/ },
+  { format: "dot", weight: 0.5, pattern: /^\d+\.\d{2}$/ },
+];
+
+/**
+ * Work out which convention a document's numbers are printed in, from the numbers
+ * that can only be read one way (1,23,456 / 1,234,567 / 1.234,56)
+ * @param {string} text - Document text
+ * @param {string} fallback - Format used when the numbers don't give it away
+ * @returns {string} "indian", "western" or "european"
+ */
+const detectNumberFormat = (text, fallback = config.defaultNumberFormat) => {
+  const votes = { indian: 0, western: 0, european: 0, dot: 0 };
+
+  for (const [number] of (text || "").matchAll(new RegExp(NUMBER_PATTERN, "g"))) {
+    const evidence = FORMAT_EVIDENCE.find((e) => e.pattern.test(number));
+    if (evidence) votes[evidence.format] += evidence.weight;
+  }
+
+  const dotVotes = votes.indian + votes.western + votes.dot;
+  if (votes.european > dotVotes) return "european";
+  if (votes.indian !== votes.western) {
+    return votes.indian > votes.western ? "indian" : "western";
+  }
+  // decimal dots but nothing showing the grouping
+  if (dotVotes > 0 && fallback === "european") return "western";
+  return fallback;
+};
+
+/**
+ * The format to read a document's numbers in: the one the request asked for, else
+ * NUMBER_FORMAT, detected from the text when either says "auto"
+ * @param {string} text - Document text
+ * @param {string|null} requested - number_format from the request
+ * @returns {string} "indian", "western" or "european"
+ */
+const chooseNumberFormat = (text, requested = null) => {
+  const format = requested || config.numberFormat;
+  return NUMBER_FORMATS[format] ? format : detectNumberFormat(text);
+};
+
+// which separator is the decimal mark, null when the number has none
+const decimalMark = (number, format) => {
+  const lastComma = number.lastIndexOf(",");
+  const lastDot = number.lastIndexOf(".");
+  if (lastComma === -1 && lastDot === -1) return null;
+
+  // both used: the last one splits off the decimals (1,234.56 / 1.234,56)
+  if (lastComma !== -1 && lastDot !== -1) return lastComma > lastDot ? "," : ".";
+
+  const mark = lastComma !== -1 ? "," : ".";
+  // used more than once it can only be grouping (1,23,456 / 1.234.567)
+  if (number.indexOf(mark) !== number.lastIndexOf(mark)) return null;
+
+  // anything but three digits after it are decimals (12,50 / 1200,00 / 99.5)
+  const decimals = number.length - number.lastIndexOf(mark) - 1;
+  if (decimals !== 3) return mark;
+
+  // "1,500" / "1.500": the document's convention decides, thousands when unknown
+  return NUMBER_FORMATS[format] && NUMBER_FORMATS[format].decimal === mark
+    ? mark
+    : null;
+};
+
+/**
+ * Read a printed number in the given convention
+ * @param {string} number - Digits with grouping / decimal separators, nothing else
+ * @param {string} format - "indian", "western", "european" or "auto" (judge each number alone)
+ * @returns {number} Parsed value, NaN when there are no digits
+ */
+const parseNumber = (number, format = "auto") => {
+  const mark = decimalMark(number, format);
+  const split = mark ? number.lastIndexOf(mark) : number.length;
+  const integer = number.slice(0, split).replace(/[.,]/g, "");
+  const decimals = number.slice(split + 1).replace(/[.,]/g, "");
+
+  return parseFloat(decimals ? `${integer || "0"}.${decimals}` : integer);
+};
+
+module.exports = {
+  NUMBER_FORMATS,
+  FORMAT_NAMES,
+  NUMBER_PATTERN,
+  detectNumberFormat,
+  chooseNumberFormat,
+  parseNumber,
+};
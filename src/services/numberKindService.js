@@ -0,0 +1,248 @@
+const { MARKER_PATTERN } = require("./currencyService");
+
+const MONTH = "(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?";
+
+// stretches of a line a number can be part of, matched on the whole line so
+// "12" in "12/03/2024" or "98765" in "98765 43210" is seen in context
+const SPANS = [
+  {
+    kind: "date",
+    what: "the date",
+    patterns: [
+      /\d{4}[/.\-]\d{1,2}[/.\-]\d{1,2}/g,
+      /\d{1,2}[/.\-]\d{1,2}[/.\-]\d{2,4}/g,
+      new RegExp(`\\d{1,2}(?:st|nd|rd|th)?[\\s\\-]*${MONTH}[\\s\\-,']*\\d{2,4}`, "g"),
+      new RegExp(`${MONTH}[\\s\\-]*\\d{1,2}(?:st|nd|rd|th)?,?\\s*\\d{2,4}`, "g"),
+      // expiry dates, "exp: mar-2026" or "03/26"
+      new RegExp(`${MONTH}[\\s\\-']*\\d{2,4}`, "g"),
+      /(?<=exp(?:iry)?\.?\s*(?:date)?\s*[:\-]?\s*)\d{1,2}[/\-]\d{2,4}/g,
+    ],
+  },
+  {
+    kind: "time",
+    what: "the time",
+    patterns: [
+      /(?<![\d.,])\d{1,2}(?:[:.]\d{2}){0,2}\s*(?:a\.?m\.?|p\.?m\.?|hrs|hours)(?![a-z])/g,
+      /(?<![\d.,])\d{1,2}:\d{2}(?::\d{2})?/g,
+    ],
+  },
+  {
+    kind: "phone",
+    what: "the phone number",
+    patterns: [
+      // indian mobiles, "98765 43210", "+91-9876543210"
+      /(?:\+\d{1,3}[\s\-]?)?(?<![\d.,])[6-9]\d{4}[\s\-]?\d{5}(?!\d|[.,]\d)/g,
+      /\+\d{1,3}[\s\-]?\d(?:[\s\-]?\d){7,12}/g,
+      // landlines with their std code, "020-2345 6789"
+      /(?<![\d.,])0\d{2,4}[\s\-]\d{3,4}[\s\-]?\d{3,4}(?!\d|[.,]\d)/g,
+    ],
+  },
+];
+
+// labels a number is printed right after, only separators (".", ":", "#")
+// between
+const LABELS = [
+  {
+    kind: "phone",
+    pattern:
+      "ph|phone|mob|mobile|tel|telephone|contact|cell|fax|helpline|whatsapp|call",
+  },
+  {
+    kind: "postal_code",
+    pattern: "pin|pin\\s*code|pincode|postal\\s*code|zip|zip\\s*code|p\\.?o\\.?\\s*box",
+  },
+  // numbered things, "bill no", "room no", "policy #"
+  {
+    kind: "identifier",
+    pattern:
+      "(?:bill|invoice|inv|receipt|order|account|a\\/c|acct|policy|claim|card|cheque|chq|token|ref|serial|reg(?:istration)?|ip|ipd|op|mr|s|sr|sl|d\\.?\\s*l|b|bed|room|ward)\\.?\\s*(?:no|number|#|id)",
+  },
+  {
+    kind: "identifier",
+    pattern:
+      "uhid|mrn|hsn(?:\\s*\\/\\s*sac)?|sac|batch|lot|gstin|aadhaar|utr|txn|transaction\\s*id|no|#|id|code",
+  },
+  {
+    kind: "quantity",
+    pattern:
+      "qty|quantity|nos|units|pcs|items|count|age|no\\.?\\s*of\\s*(?:days|items|units|tablets|visits)",
+  },
+];
+
+const compileLabels = (kind) =>
+  new RegExp(
+    `(?<![a-z])(${LABELS.filter((l) => l.kind === kind)
+      .map((l) => l.pattern)
+      .join("|")})\\.?[\\s:.\\-#=]*$`
+  );
+const LABEL_KINDS = ["phone", "postal_code", "identifier", "quantity"].map(
+  (kind) => ({ kind, regex: compileLabels(kind) })
+);
+
+// "bed 12", "ward 3" are numbered without saying so. a whole number only,
+// "ward: 1500.00" is what the ward charged
+const BARE_NUMBERED = /(?<![a-z])(bed|room|ward)\.?[\s:.\-#=]*$/;
+
+// units that make a number a count or a dose, "2 tabs", "500 mg", "3 days"
+const UNIT_AFTER =
+  /^\s?(nos?\.?|pcs|units?|tabs?|tablets?|caps?|capsules?|strips?|bottles?|vials?|inj|amps?|sachets?|days?|nights?|visits?|sessions?|ml|mg|mcg|gms?|g|kg|iu|yrs?|years?)(?![a-z])/;
+// "2 x 500.00": the 2 is how many
+const TIMES_AFTER = /^\s*[x×*]\s*\d/;
+
+// a currency or an amount label right before the number, or a currency after
+const CURRENCY_BEFORE = new RegExp(`(?:${MARKER_PATTERN})\\s*$`, "i");
+const CURRENCY_AFTER = new RegExp(`^\\s*(?:${MARKER_PATTERN})`, "i");
+const AMOUNT_BEFORE =
+  /(?<![a-z])(?:total|paid|due|balance|amount|mrp|discount|tax|[csi]?gst|vat|cess|subtotal|net|gross|price|rate|charges?|fees?|cost|rent|deposit|advance|refund|round\s*off)\s*[:\-]?\s*$/;
+
+// a number glued to letters is part of a code: "b-7781", "20b", "ka01"
+const CODE_BEFORE = /[a-z][\-/]?$/;
+const CODE_AFTER = /^[\-/]?[a-z]/;
+
+// six digits after a town ("pune - 411001") or on an address line
+const POSTAL_CODE = /^[1-9]\d{5}$/;
+const TOWN_BEFORE = /[a-z]\s*[-–,]\s*$/;
+const ADDRESS_WORD =
+  /(?<![a-z])(?:road|rd|street|st|marg|nagar|colony|lane|sector|phase|floor|building|bldg|near|opp|dist|district|city|state)(?![a-z])/;
+
+// the column headers of an item table whose values aren't money
+const TABLE_HEADER =
+  /(?<![a-z])(?:description|particulars|items?|services?|amount|rate|mrp|price)(?![a-z])/;
+const COLUMNS = [
+  {
+    kind: "identifier",
+    pattern: /(?<![a-z])(?:hsn(?:\s*\/\s*sac)?|sac|batch|lot|b\.?\s*no)(?![a-z])/g,
+  },
+  {
+    kind: "quantity",
+    pattern: /(?<![a-z])(?:qty|quantity|nos|units)(?![a-z])/g,
+  },
+  { kind: "date", pattern: /(?<![a-z])(?:exp(?:iry)?|mfg)(?![a-z])/g },
+];
+// how far above a number its table's header can be
+const MAX_TABLE_ROWS = 50;
+
+/**
+ * Tell what kind of number each printed number is: money, or a date, time,
+ * phone number, postal code, identifier (bill no, hsn code, batch, bed),
+ * quantity or percentage. Decided from the number's format (dates, times,
+ * phone shapes, numbers glued to letters), the words right before and after
+ * it, and for item tables typed as text, the column it sits in
+ * @param {string} text - The whole document, every number is read on its line
+ * @returns {Function} (start, printed) => {kind: string, reason: string|null},
+ *   start being where the number begins in text
+ */
+const numberKinds = (text) => {
+  const lines = [];
+  let offset = 0;
+  for (const line of text.split("\n")) {
+    lines.push({ start: offset, text: line.toLowerCase(), printed: line });
+    offset += line.length + 1;
+  }
+
+  // the kind of span a number falls in, and what the span reads
+  const spanAt = (line, from, to) => {
+    for (const { kind, what, patterns } of SPANS) {
+      for (const pattern of patterns) {
+        for (const match of line.text.matchAll(pattern)) {
+          const end = match.index + match[0].length;
+          if (match.index < to && end > from) {
+            const printed = line.printed.slice(match.index, end).trim();
+            return { kind, reason: `part of ${what} "${printed}"` };
+          }
+        }
+      }
+    }
+    return null;
+  };
+
+  // the nearest table header above, and the column of it the number sits under
+  const columnAt = (lineIndex, from, to) => {
+    const top = Math.max(0, lineIndex - MAX_TABLE_ROWS);
+    for (let i = lineIndex - 1; i >= top; i--) {
+      const header = lines[i].text;
+      if (/\d/.test(header) || !TABLE_HEADER.test(header)) continue;
+
+      for (const { kind, pattern } of COLUMNS) {
+        for (const match of header.matchAll(pattern)) {
+          const end = match.index + match[0].length;
+          // a character of slack, right aligned values stick out of short headers
+          if (from < end + 1 && to > match.index - 1) {
+            return { kind, reason: `in the "${match[0]}" column` };
+          }
+        }
+      }
+      return null;
+    }
+    return null;
+  };
+
+  return (start, printed) => {
+    const number = printed.replace(/\s*%$/, "");
+    const lineIndex = lines.findIndex(
+      (line, i) => i === lines.length - 1 || lines[i + 1].start > start
+    );
+    const line = lines[lineIndex].text;
+    const printedLine = lines[lineIndex].printed;
+    const from = start - lines[lineIndex].start;
+    const to = from + number.length;
+    const before = line.slice(0, from);
+    const after = line.slice(to);
+
+    if (/^\s*%/.test(after) || printed.endsWith("%")) {
+      return { kind: "percentage", reason: "followed by %" };
+    }
+
+    const span = spanAt(lines[lineIndex], from, to);
+    if (span) return span;
+
+    const unit = UNIT_AFTER.exec(after);
+    if (unit) return { kind: "quantity", reason: `followed by "${unit[1]}"` };
+    if (TIMES_AFTER.test(after)) {
+      return { kind: "quantity", reason: 'followed by "x"' };
+    }
+
+    if (CURRENCY_BEFORE.test(before) || CURRENCY_AFTER.test(after)) {
+      return { kind: "money", reason: "next to a currency" };
+    }
+    const amountLabel = AMOUNT_BEFORE.exec(before);
+    if (amountLabel) {
+      return { kind: "money", reason: `after "${amountLabel[0].trim()}"` };
+    }
+
+    for (const { kind, regex } of LABEL_KINDS) {
+      const label = regex.exec(before);
+      if (label) return { kind, reason: `after "${label[1]}"` };
+    }
+    const numbered = /^\d+$/.test(number) && BARE_NUMBERED.exec(before);
+    if (numbered) {
+      return { kind: "identifier", reason: `after "${numbered[1]}"` };
+    }
+
+    const column = columnAt(lineIndex, from, to);
+    if (column) return column;
+
+    if (CODE_BEFORE.test(before) || CODE_AFTER.test(after)) {
+      const code =
+        /[\w\-/]*$/.exec(printedLine.slice(0, from))[0] +
+        number +
+        /^[\w\-/]*/.exec(printedLine.slice(to))[0];
+      return { kind: "identifier", reason: `part of the code "${code}"` };
+    }
+    if (
+      POSTAL_CODE.test(number) &&
+      (TOWN_BEFORE.test(before) || ADDRESS_WORD.test(line))
+    ) {
+      return { kind: "postal_code", reason: "six digits on an address line" };
+    }
+    if (/^0\d+$/.test(number)) {
+      return { kind: "identifier", reason: "a whole number starting with 0" };
+    }
+
+    return { kind: "money", reason: null };
+  };
+};
+
+module.exports = {
+  numberKinds,
+};
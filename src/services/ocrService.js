@@ -1,84 +1,536 @@
-const Tesseract = require("tesseract.js");
+const sharp = require("sharp");
 const config = require("../config/env");
 const logger = require("../utils/logger");
 const { AppError } = require("../middleware/errorHandler");
+const { loadPdfPages } = require("./pdfService");
+const ocrWorkerPool = require("./ocrWorkerPool");
+const {
+  parseSteps,
+  preprocessImage,
+  mapBoxToSource,
+} = require("./preprocessService");
+const { assessImageQuality } = require("./qualityService");
+const {
+  NUMBER_PATTERN,
+  chooseNumberFormat,
+  parseNumber,
+} = require("./numberFormatService");
+const { MARKER_PATTERN, detectCurrency } = require("./currencyService");
+const {
+  NATIVE_DIGITS,
+  ANY_LABEL_PATTERN,
+  normalizeDigits,
+  detectLanguages,
+} = require("./languageService");
+const { numberKinds } = require("./numberKindService");
+const { createTrace } = require("./traceService");
 
-// run tesseract on image buffer and extract numeric tokens
-const extractTextFromImage = async (imageBuffer, requestId) => {
-  try {
-    logger.info("Starting OCR text extraction with Tesseract", { requestId });
+const DEFAULT_PREPROCESS_STEPS = parseSteps(config.preprocessSteps);
 
-    // Perform OCR using Tesseract
-    const result = await Tesseract.recognize(
-      imageBuffer,
-      "eng", // Language: English
-      {
-        logger: (m) => {
-          if (m.status === "recognizing text") {
-            logger.debug("Tesseract progress", {
-              requestId,
-              progress: Math.round(m.progress * 100) + "%",
-            });
-          }
+// extra passes tried when the first one scores below minOcrConfidence, best first
+const FALLBACK_PASSES = [
+  { psm: "6" }, // single uniform block, suits most receipts
+  { psm: "11" }, // sparse text, labels and amounts scattered around the page
+  { psm: "4" }, // single column of text of variable sizes
+  { psm: "6", preprocess: ["orientation", "grayscale", "upscale", "deskew"] }, // no binarization
+  { psm: "3", preprocess: [] }, // the original upload
+];
+
+// characters allowed when re-reading a single amount, devanagari / tamil / ... digits too
+const AMOUNT_WHITELIST = `0123456789.,-/₹$€£${NATIVE_DIGITS}`;
+
+// a recognized word that could be an amount (digits, or letters ocr confuses with digits)
+const AMOUNT_WORD = /^[₹$€£]?(?:rs\.?)?[\dOoIlSB][\dOoIlSB,.]*$/i;
+
+// pass a stage update to the caller, if it asked for them (options.onProgress)
+const reportProgress = (options, event) => {
+  if (options.onProgress) options.onProgress(event);
+};
+
+// run a stage under the request's time budget (options.budget), unbounded without one
+const runStage = (options, stage, fn) =>
+  options.budget ? options.budget.run(stage, fn) : fn(undefined);
+
+// clean up the image, run tesseract on it and return the raw text with its confidence
+const recognizeImage = async (imageBuffer, requestId, options = {}) => {
+  const steps = options.preprocess || DEFAULT_PREPROCESS_STEPS;
+  // which page and pass this is, attached to every progress event
+  const where = { page: options.page || 1, pass: options.pass || 1 };
+
+  reportProgress(options, { stage: "preprocessing", ...where });
+  const preprocessing = await runStage(options, "preprocessing", () =>
+    preprocessImage(imageBuffer, steps, requestId)
+  );
+
+  // tesseract reports many fractional updates, pass on whole percents only
+  let lastPercent = -1;
+  const result = await runStage(options, "ocr", (signal) =>
+    ocrWorkerPool.recognize(preprocessing.image, {
+      requestId,
+      options: options.parameters,
+      output: { text: true, blocks: true },
+      languages: options.languages,
+      signal,
+      onProgress: (m) => {
+        if (m.status !== "recognizing text") return;
+        const percent = Math.round(m.progress * 100);
+        if (percent === lastPercent) return;
+        lastPercent = percent;
+
+        logger.debug("Tesseract progress", {
+          requestId,
+          progress: percent + "%",
+        });
+        reportProgress(options, { stage: "ocr", ...where, percent });
+      },
+    })
+  );
+
+  return {
+    text: result.data.text,
+    confidence: result.data.confidence / 100, // Convert to 0-1 scale
+    languages: options.languages || config.ocrLanguages,
+    blocks: result.data.blocks || [],
+    // the image tesseract actually saw, word boxes refer to it
+    image: preprocessing.image,
+    size: preprocessing.size,
+    transforms: preprocessing.transforms,
+    preprocessing: {
+      applied: preprocessing.applied,
+      skipped: preprocessing.skipped,
+      ...(preprocessing.error && { error: preprocessing.error }),
+    },
+  };
+};
+
+// flatten tesseract's block > paragraph > line > word tree
+const collectWords = (blocks) =>
+  blocks.flatMap((block) =>
+    (block.paragraphs || []).flatMap((paragraph) =>
+      (paragraph.lines || []).flatMap((line) => line.words || [])
+    )
+  );
+
+/**
+ * Turn tesseract blocks into text lines with word boxes on the original image
+ * @param {{blocks: Array<object>, size: object, transforms: Array<object>}} pass - recognizeImage result
+ * @param {number} page - Page number the image belongs to (1 for photos)
+ * @returns {{page: number, width: number, height: number, lines: Array<object>}|null}
+ */
+const buildPageLayout = (pass, page) => {
+  // without the original size the boxes can't be mapped back
+  if (!pass.size) return null;
+
+  const toSource = (bbox) => mapBoxToSource(bbox, pass.transforms, pass.size);
+  const lines = pass.blocks.flatMap((block) =>
+    (block.paragraphs || []).flatMap((paragraph) => paragraph.lines || [])
+  );
+
+  return {
+    page,
+    width: pass.size.width,
+    height: pass.size.height,
+    lines: lines
+      .filter((line) => line.words && line.words.length > 0)
+      .map((line) => ({
+        text: line.words.map((w) => w.text).join(" "),
+        bbox: toSource(line.bbox),
+        words: line.words.map((w) => ({
+          text: w.text,
+          bbox: toSource(w.bbox),
+          ...(typeof w.confidence === "number" && {
+            confidence: parseFloat((w.confidence / 100).toFixed(2)),
+          }),
+        })),
+      })),
+  };
+};
+
+// where each word starts in the page text, found in reading order (null when
+// tesseract's text doesn't have it)
+const wordOffsets = (text, words) => {
+  let cursor = 0;
+  return words.map((word) => {
+    const at = text.indexOf(word.text, cursor);
+    if (at === -1) return null;
+    cursor = at + word.text.length;
+    return at;
+  });
+};
+
+// re-read small crops around numbers using a digit/currency whitelist
+const recognizeAmountRegions = async (pass, requestId, options = {}) => {
+  const { width, height } = await sharp(pass.image).metadata();
+
+  const words = collectWords(pass.blocks);
+  const offsets = wordOffsets(pass.text, words);
+  const candidates = words
+    .map((word, i) => ({ word, offset: offsets[i] }))
+    .filter(({ word, offset }) => {
+      const text = normalizeDigits(word.text);
+      return offset !== null && AMOUNT_WORD.test(text) && /\d/.test(text);
+    })
+    .sort((a, b) => a.word.confidence - b.word.confidence)
+    .slice(0, config.ocrMaxAmountCrops);
+
+  const recovered = [];
+  for (const { word, offset } of candidates) {
+    const { x0, y0, x1, y1 } = word.bbox;
+    const padX = Math.round((y1 - y0) * 0.8);
+    const padY = Math.round((y1 - y0) * 0.3);
+    const left = Math.max(0, x0 - padX);
+    const top = Math.max(0, y0 - padY);
+
+    const result = await runStage(options, "ocr", (signal) =>
+      ocrWorkerPool.recognize(pass.image, {
+        requestId,
+        options: {
+          rectangle: {
+            left,
+            top,
+            width: Math.min(width, x1 + padX) - left,
+            height: Math.min(height, y1 + padY) - top,
+          },
+          tessedit_pageseg_mode: "7", // single text line
+          tessedit_char_whitelist: AMOUNT_WHITELIST,
         },
-      }
+        languages: pass.languages,
+        signal,
+      })
     );
 
-    const fullText = result.data.text;
-    const confidence = result.data.confidence / 100; // Convert to 0-1 scale
-
-    if (!fullText || fullText.trim().length === 0) {
-      logger.warn("No text detected in image", { requestId });
-      throw new AppError(
-        "No text detected in the provided image",
-        400,
-        "no_text_detected"
-      );
+    const text = result.data.text.trim();
+    const confidence = result.data.confidence / 100;
+    if (/\d/.test(normalizeDigits(text)) && confidence >= config.minOcrConfidence) {
+      recovered.push({
+        word,
+        offset,
+        original: word.text,
+        text,
+        confidence: parseFloat(confidence.toFixed(2)),
+      });
     }
+  }
 
-    // Extract numeric tokens (amounts, percentages)
-    const numericTokens = extractNumericTokens(fullText);
+  return recovered;
+};
 
-    // Detect currency hint
-    const currencyHint = detectCurrency(fullText);
+// the page text with each recovered amount put in its word's place, last first so
+// the earlier offsets still hold. "1 ... 1OO" only rewrites the word that was cropped
+const replaceRecovered = (text, recovered) =>
+  [...recovered]
+    .sort((a, b) => b.offset - a.offset)
+    .reduce(
+      (result, amount) =>
+        result.slice(0, amount.offset) +
+        amount.text +
+        result.slice(amount.offset + amount.original.length),
+      text
+    );
 
-    // Check if we found any amounts
-    if (numericTokens.length === 0) {
-      logger.warn("No numeric amounts found in OCR text", { requestId });
-      return {
-        status: "no_amounts_found",
-        reason: "No numeric values detected in the document",
-        raw_text: fullText,
-      };
+// tesseract blocks with the recovered words read as their crops, so the layout and
+// each amount's ocr confidence come from the crop
+const withRecoveredWords = (blocks, recovered) => {
+  const byWord = new Map(recovered.map((amount) => [amount.word, amount]));
+  const mapWords = (words) =>
+    words.map((word) =>
+      byWord.has(word)
+        ? {
+            ...word,
+            text: byWord.get(word).text,
+            confidence: byWord.get(word).confidence * 100,
+          }
+        : word
+    );
+  return blocks.map((block) => ({
+    ...block,
+    paragraphs: (block.paragraphs || []).map((paragraph) => ({
+      ...paragraph,
+      lines: (paragraph.lines || []).map((line) => ({
+        ...line,
+        words: mapWords(line.words || []),
+      })),
+    })),
+  }));
+};
+
+// line (1-based) of an offset in the page text
+const lineAt = (text, offset) => text.slice(0, offset).split("\n").length;
+
+/**
+ * Recognize an image, and when the first pass scores below minOcrConfidence retry
+ * with other page segmentation modes / preprocessing and keep the best pass. If even
+ * that is too noisy, re-read the crops around candidate amounts on their own.
+ * @param {Buffer} imageBuffer - Image to recognize
+ * @param {string} requestId - Request ID for logging
+ * @param {{preprocess?: string[], languages?: string, onProgress?: Function, page?: number, budget?: object}} options
+ *   OCR options from the request, onProgress receives stage updates ({stage, page, pass, percent}),
+ *   budget (budgetService) bounds every stage. Without languages the first pass reads with every
+ *   OCR_LANGUAGES language and later passes with the ones the page turned out to be in
+ * @returns {Promise<{text: string, confidence: number, preprocessing: object, multi_pass?: object}>}
+ */
+const recognizeWithFallback = async (imageBuffer, requestId, options = {}) => {
+  const first = await recognizeImage(imageBuffer, requestId, options);
+
+  if (
+    first.confidence >= config.minOcrConfidence ||
+    config.ocrMaxPasses <= 1
+  ) {
+    return first;
+  }
+
+  const describe = (pass, psm, preprocess) => ({
+    psm,
+    preprocess: preprocess.applied.map((a) => a.step),
+    languages: pass.languages,
+    confidence: parseFloat(pass.confidence.toFixed(2)),
+  });
+
+  // fewer languages read better, retry with just the scripts found on the page
+  const detected = detectLanguages(first.text, config.ocrLanguages.split("+"));
+  const languages =
+    options.languages || (detected.length > 0 ? detected.join("+") : undefined);
+
+  const passes = [describe(first, "3", first.preprocessing)];
+  let best = first;
+  let bestIndex = 0;
+
+  for (const variant of FALLBACK_PASSES.slice(0, config.ocrMaxPasses - 1)) {
+    const pass = await recognizeImage(imageBuffer, requestId, {
+      ...options,
+      preprocess: variant.preprocess || options.preprocess,
+      parameters: { tessedit_pageseg_mode: variant.psm },
+      languages,
+      pass: passes.length + 1,
+    });
+    passes.push(describe(pass, variant.psm, pass.preprocessing));
+
+    if (pass.confidence > best.confidence) {
+      best = pass;
+      bestIndex = passes.length - 1;
     }
+    if (best.confidence >= config.minOcrConfidence) break;
+  }
+
+  logger.info("Multi-pass OCR finished", {
+    requestId,
+    passes: passes.length,
+    bestConfidence: best.confidence,
+  });
 
-    // Check if confidence is too low
-    if (confidence < config.minOcrConfidence) {
-      logger.warn("OCR confidence below threshold", {
+  let text = best.text;
+  let blocks = best.blocks;
+  let recovered = [];
+
+  // still too noisy as a page, but the amounts themselves may be readable
+  if (best.confidence < config.minOcrConfidence && config.ocrMaxAmountCrops > 0) {
+    reportProgress(options, { stage: "amount_recovery", page: options.page || 1 });
+    recovered = await recognizeAmountRegions(best, requestId, options);
+
+    // the page keeps its own confidence, a noisy page still trips the low
+    // confidence guardrail. each recovered amount scores with its crop's
+    if (recovered.length > 0) {
+      text = replaceRecovered(best.text, recovered);
+      blocks = withRecoveredWords(best.blocks, recovered);
+
+      logger.info("Recovered amounts from targeted re-OCR", {
         requestId,
-        confidence: confidence,
-        threshold: config.minOcrConfidence,
+        recovered: recovered.length,
       });
-      return {
-        status: "low_confidence",
-        reason: "Document quality too poor or text too noisy",
-        confidence: parseFloat(confidence.toFixed(2)),
-        raw_text: fullText,
-      };
     }
+  }
+
+  return {
+    ...best,
+    text,
+    blocks,
+    multi_pass: {
+      passes,
+      selected_pass: bestIndex,
+      page_confidence: parseFloat(best.confidence.toFixed(2)),
+      recovered_amounts: recovered.map((amount) => ({
+        original: amount.original,
+        text: amount.text,
+        line: lineAt(best.text, amount.offset),
+        crop_confidence: amount.confidence,
+      })),
+    },
+  };
+};
+
+// layout word text with ascii digits, so boxes can be matched to amounts
+const normalizeLayoutDigits = (layout) =>
+  layout.map((page) => ({
+    ...page,
+    lines: page.lines.map((line) => ({
+      ...line,
+      text: normalizeDigits(line.text),
+      words: line.words.map((word) => ({
+        ...word,
+        text: normalizeDigits(word.text),
+      })),
+    })),
+  }));
+
+// turn recognized text into numeric tokens and apply the ocr guardrails
+const buildOcrResult = (
+  fullText,
+  confidence,
+  requestId,
+  extra = {},
+  options = {}
+) => {
+  if (!fullText || fullText.trim().length === 0) {
+    logger.warn("No text detected in document", { requestId });
+    throw new AppError(
+      "No text detected in the provided image",
+      400,
+      "no_text_detected"
+    );
+  }
+
+  // devanagari, tamil, kannada (...) digits read as ascii from here on, layout words too
+  const text = normalizeDigits(fullText);
+  const layout = extra.layout && normalizeLayoutDigits(extra.layout);
+  const languages = detectLanguages(text);
 
-    logger.info("OCR extraction successful", {
+  // read every number in the document's own grouping / decimal convention
+  const numberFormat = chooseNumberFormat(text, options.numberFormat);
+
+  // Extract numeric tokens (amounts, percentages)
+  const { tokens: numericTokens, excluded } = extractNumericTokens(
+    text,
+    numberFormat,
+    options.trace
+  );
+
+  // main currency, plus any others the document mixes in
+  const currency = detectCurrency(text);
+
+  // Check if we found any amounts
+  if (numericTokens.length === 0) {
+    logger.warn("No numeric amounts found in OCR text", { requestId });
+    return {
+      status: "no_amounts_found",
+      reason: "No numeric values detected in the document",
+      raw_text: text,
+      // the numbers there were, and why none of them is an amount
+      excluded_numbers: excluded,
+    };
+  }
+
+  // Check if confidence is too low
+  if (confidence < config.minOcrConfidence) {
+    logger.warn("OCR confidence below threshold", {
       requestId,
-      tokensFound: numericTokens.length,
       confidence: confidence,
+      threshold: config.minOcrConfidence,
     });
-
     return {
-      raw_tokens: numericTokens,
-      currency_hint: currencyHint,
+      status: "low_confidence",
+      reason: "Document quality too poor or text too noisy",
       confidence: parseFloat(confidence.toFixed(2)),
-      raw_text: fullText,
+      raw_text: text,
+      // glare or cut off edges usually explain a low score, pass them on
+      ...(extra.quality_warnings && {
+        quality_warnings: extra.quality_warnings,
+      }),
+      // kept so callers reviewing amounts one by one can still go on
+      raw_tokens: numericTokens,
+      excluded_numbers: excluded,
+      currency_hint: currency.currency,
+      currency_confidence: currency.confidence,
+      currencies: currency.currencies,
+      number_format: numberFormat,
+      languages,
+      ...(layout && { layout }),
     };
+  }
+
+  logger.info("OCR extraction successful", {
+    requestId,
+    tokensFound: numericTokens.length,
+    confidence: confidence,
+    numberFormat,
+  });
+
+  return {
+    raw_tokens: numericTokens,
+    // dates, phone numbers, pincodes, codes and quantities, with why
+    excluded_numbers: excluded,
+    currency_hint: currency.currency,
+    currency_confidence: currency.confidence,
+    currencies: currency.currencies,
+    number_format: numberFormat,
+    languages,
+    confidence: parseFloat(confidence.toFixed(2)),
+    raw_text: text,
+    ...extra,
+    ...(layout && { layout }),
+  };
+};
+
+// quality check that never fails the request on its own errors (or a slow check),
+// only a spent budget or a closed connection stop it
+const checkImageQuality = async (imageBuffer, requestId, options = {}) => {
+  try {
+    return await runStage(options, "quality_check", () =>
+      assessImageQuality(imageBuffer, requestId)
+    );
+  } catch (error) {
+    if (options.budget && options.budget.signal.aborted) throw error;
+    logger.warn("Image quality check failed, continuing with OCR", {
+      requestId,
+      error: error.message,
+    });
+    return null;
+  }
+};
+
+// run tesseract on image buffer and extract numeric tokens
+const extractTextFromImage = async (imageBuffer, requestId, options = {}) => {
+  try {
+    logger.info("Starting OCR text extraction with Tesseract", { requestId });
+
+    // reject unusable photos up front with reasons the user can act on
+    if (config.qualityCheckEnabled) {
+      reportProgress(options, { stage: "quality_check" });
+    }
+    const quality = config.qualityCheckEnabled
+      ? await checkImageQuality(imageBuffer, requestId, options)
+      : null;
+    const blocking = quality
+      ? quality.reasons.filter((r) => config.qualityRejectReasons.includes(r.code))
+      : [];
+    const warnings = quality
+      ? quality.reasons.filter((r) => !config.qualityRejectReasons.includes(r.code))
+      : [];
+
+    if (blocking.length > 0) {
+      return {
+        status: "poor_image_quality",
+        reason: "Image quality too poor for reliable OCR",
+        reasons: quality.reasons,
+        quality: quality.metrics,
+      };
+    }
+
+    const pass = await recognizeWithFallback(imageBuffer, requestId, options);
+    const { text, confidence, preprocessing, multi_pass } = pass;
+    const pageLayout = buildPageLayout(pass, 1);
+
+    return buildOcrResult(
+      text,
+      confidence,
+      requestId,
+      {
+        preprocessing,
+        ...(multi_pass && { multi_pass }),
+        ...(pageLayout && { layout: [pageLayout] }),
+        ...(warnings.length > 0 && { quality_warnings: warnings }),
+      },
+      options
+    );
   } catch (error) {
     if (error instanceof AppError) {
       throw error;
@@ -97,33 +549,143 @@ const extractTextFromImage = async (imageBuffer, requestId) => {
   }
 };
 
+// read every page of a pdf: text layer where it exists, ocr for scanned pages
+const extractTextFromPdf = async (pdfBuffer, requestId, options = {}) => {
+  try {
+    logger.info("Starting PDF text extraction", { requestId });
+
+    reportProgress(options, { stage: "pdf_loading" });
+    const pdfPages = await runStage(options, "pdf_loading", () =>
+      loadPdfPages(pdfBuffer, requestId)
+    );
+    const pages = [];
+    const layout = [];
+
+    for (const pdfPage of pdfPages) {
+      if (pdfPage.text !== null) {
+        reportProgress(options, { stage: "text_layer", page: pdfPage.page });
+        pages.push({
+          page: pdfPage.page,
+          method: "text_layer",
+          confidence: 1.0, // embedded text needs no recognition
+          text: pdfPage.text,
+        });
+        layout.push({
+          page: pdfPage.page,
+          ...pdfPage.size,
+          lines: pdfPage.lines,
+        });
+        continue;
+      }
+
+      const pass = await recognizeWithFallback(pdfPage.image, requestId, {
+        ...options,
+        page: pdfPage.page,
+      });
+      const { text, confidence, preprocessing, multi_pass } = pass;
+      const pageLayout = buildPageLayout(pass, pdfPage.page);
+      if (pageLayout) layout.push(pageLayout);
+      pages.push({
+        page: pdfPage.page,
+        method: "ocr",
+        confidence: parseFloat(confidence.toFixed(2)),
+        text,
+        preprocessing,
+        ...(multi_pass && { multi_pass }),
+      });
+    }
+
+    // pages without any text shouldn't drag the document confidence down
+    const pagesWithText = pages.filter((p) => p.text && p.text.trim());
+    const confidence =
+      pagesWithText.length > 0
+        ? pagesWithText.reduce((sum, p) => sum + p.confidence, 0) /
+          pagesWithText.length
+        : 0;
+
+    logger.info("PDF pages processed", {
+      requestId,
+      pageCount: pages.length,
+      ocrPages: pages.filter((p) => p.method === "ocr").length,
+    });
+
+    const fullText = pages.map((p) => p.text).join("\n\n");
+
+    return buildOcrResult(
+      fullText,
+      confidence,
+      requestId,
+      { pages, layout },
+      options
+    );
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+    logger.error("PDF extraction failed", {
+      requestId,
+      error: error.message,
+      stack: error.stack,
+    });
+
+    throw new AppError(
+      "Failed to extract text from PDF. Please ensure the document is readable.",
+      500,
+      "ocr_failed"
+    );
+  }
+};
+
+// pick the right extractor for an uploaded file
+const extractTextFromFile = async (file, requestId, options = {}) => {
+  if (file.mimetype === "application/pdf") {
+    return extractTextFromPdf(file.buffer, requestId, options);
+  }
+  return extractTextFromImage(file.buffer, requestId, options);
+};
+
 // extract tokens from plain text input (no ocr needed)
-const extractTextFromString = async (text, requestId) => {
+const extractTextFromString = async (text, requestId, options = {}) => {
   try {
     logger.info("Processing text input", { requestId });
 
+    // devanagari, tamil, kannada (...) digits read as ascii from here on
+    text = normalizeDigits(text);
+    const numberFormat = chooseNumberFormat(text, options.numberFormat);
+
     // Extract numeric tokens
-    const numericTokens = extractNumericTokens(text);
+    const { tokens: numericTokens, excluded } = extractNumericTokens(
+      text,
+      numberFormat,
+      options.trace
+    );
 
-    // Detect currency
-    const currencyHint = detectCurrency(text);
+    // main currency, plus any others the document mixes in
+    const currency = detectCurrency(text);
 
     if (numericTokens.length === 0) {
       logger.warn("No numeric amounts found in text", { requestId });
       return {
         status: "no_amounts_found",
         reason: "No numeric values found in the provided text",
+        excluded_numbers: excluded,
       };
     }
 
     logger.info("Text extraction successful", {
       requestId,
       tokensFound: numericTokens.length,
+      numberFormat,
     });
 
     return {
       raw_tokens: numericTokens,
-      currency_hint: currencyHint,
+      excluded_numbers: excluded,
+      currency_hint: currency.currency,
+      currency_confidence: currency.confidence,
+      currencies: currency.currencies,
+      number_format: numberFormat,
+      languages: detectLanguages(text),
       confidence: 1.0, // Text input has perfect confidence
       raw_text: text,
     };
@@ -140,75 +702,126 @@ const extractTextFromString = async (text, requestId) => {
   }
 };
 
-// pull out all numbers from text using regex patterns
-const extractNumericTokens = (text) => {
-  const tokens = [];
-  const seen = new Set();
+// pull out all numbers from text using regex patterns. tokens keep their separators
+// (1,23,456.00 / 1.234,56), numberFormat says how to read them. every printing is a
+// token of its own, in reading order, so "total 500" and "paid 500" give two, and
+// percentages keep their sign ("18%") so they aren't taken for amounts. numbers
+// that aren't money (dates, phone numbers, pincodes, hsn codes, quantities) are
+// left out and come back in excluded with their kind and why. trace
+// (traceService) hears which rule kept each token and why the others weren't
+const extractNumericTokens = (text, numberFormat = "auto", trace = createTrace()) => {
+  const tokens = new Map(); // where the number starts -> printed number
+  const decisions = new Map(); // where the number starts -> why it was kept or not
+  const excluded = new Map(); // where the number starts -> its kind and why
+  const kindOf = numberKinds(text);
+
+  // keep a token if it is money (or a rate) and reads as a value in range, once
+  // per printing
+  const addToken = (printed, index, min, rule) => {
+    const cleaned = printed.trim();
+    if (!cleaned || tokens.has(index) || excluded.has(index)) return;
+    const { kind, reason: why } = kindOf(index, cleaned);
+    const num = parseNumber(cleaned.replace(/\s*%$/, ""), numberFormat);
+
+    let reason = null;
+    if (kind !== "money" && kind !== "percentage") reason = `${kind}: ${why}`;
+    else if (isNaN(num)) reason = "not a number";
+    else if (num < min) reason = `below ${min}`;
+    else if (num > config.maxAmount) reason = `above MAX_AMOUNT (${config.maxAmount})`;
+
+    if (!reason) tokens.set(index, cleaned);
+    if (kind !== "money" && kind !== "percentage") {
+      excluded.set(index, { token: cleaned, kind, reason: why });
+    }
+    // a later rule may still keep a number an earlier one dropped
+    decisions.set(index, {
+      token: cleaned,
+      index,
+      rule,
+      kind,
+      kept: !reason,
+      ...(reason && { reason }),
+    });
+  };
 
   // look for amounts with context or decimals (most reliable)
   const contextPatterns = [
-    /(?:total|paid|due|balance|amount|mrp|discount|tax|subtotal|net|gross)[:\s]*(?:Rs\.?|INR|₹|Rs)?\s*(\d{1,6}(?:\.\d{1,2})?)/gi,
-    /(?:Rs\.?|INR|₹|Rs)\s*(\d{1,6}(?:\.\d{1,2})?)/gi,
-    /\b(\d{1,6}\.\d{2})\b/g, // amounts with .XX decimal
+    // rates first, "gst 18%" is a rate and not an amount the tax label names
+    {
+      rule: "percentage",
+      pattern: new RegExp(`(${NUMBER_PATTERN})\\s*%`, "g"),
+    },
+    {
+      rule: "label",
+      pattern: new RegExp(
+        `(?:total|paid|due|balance|amount|mrp|discount|tax|subtotal|net|gross)[:\\s]*(?:${MARKER_PATTERN})?\\s*(${NUMBER_PATTERN})`,
+        "gi"
+      ),
+    },
+    // the same with hindi, marathi, tamil or kannada labels
+    {
+      rule: "localized_label",
+      pattern: new RegExp(
+        `${ANY_LABEL_PATTERN}[\\s:\\-]*(?:${MARKER_PATTERN}|[\\u0900-\\u0DFF]{1,6}\\.?)?\\s*(${NUMBER_PATTERN})`,
+        "g"
+      ),
+    },
+    {
+      rule: "currency",
+      pattern: new RegExp(`(?:${MARKER_PATTERN})\\s*(${NUMBER_PATTERN})`, "g"),
+    },
+    {
+      rule: "decimals", // amounts with .XX (or ,XX) decimals
+      pattern: new RegExp(`\\b(${NUMBER_PATTERN}[.,]\\d{2})\\b`, "g"),
+    },
   ];
 
-  contextPatterns.forEach((pattern) => {
-    const matches = text.matchAll(pattern);
-    for (const match of matches) {
-      const value = match[1] || match[0];
-      const cleaned = value.replace(/[₹$€£Rs\s,]/gi, "").trim();
-
-      if (cleaned && !seen.has(cleaned)) {
-        const num = parseFloat(cleaned);
-        if (!isNaN(num) && num >= 0.01 && num <= 999999) {
-          tokens.push(cleaned);
-          seen.add(cleaned);
-        }
-      }
+  contextPatterns.forEach(({ rule, pattern }) => {
+    for (const match of text.matchAll(pattern)) {
+      const printed = match[1] || match[0];
+      const index = match.index + match[0].lastIndexOf(printed);
+      const token = rule === "percentage" ? `${printed}%` : printed;
+      addToken(token, index, 0.01, rule);
     }
   });
 
   // fallback: get numbers that look like money amounts
-  if (tokens.length < 3) {
-    const numberPattern = /\b(\d{2,6}(?:\.\d{1,2})?)\b/g;
-    const matches = text.matchAll(numberPattern);
-    for (const match of matches) {
-      const cleaned = match[1].trim();
-      if (cleaned && !seen.has(cleaned)) {
-        const num = parseFloat(cleaned);
-        // skip dates, phone numbers, etc (too many digits)
-        if (!isNaN(num) && num >= 10 && num <= 999999 && cleaned.length <= 8) {
-          tokens.push(cleaned);
-          seen.add(cleaned);
-        }
-      }
+  const fallback = tokens.size < 3;
+  if (fallback) {
+    // values above MAX_AMOUNT (phone numbers, long ids) are dropped by addToken
+    const numberPattern = new RegExp(`\\b(${NUMBER_PATTERN})\\b`, "g");
+    for (const match of text.matchAll(numberPattern)) {
+      addToken(match[1], match.index, 10, "fallback");
     }
   }
 
-  return tokens;
-};
-
-// figure out currency from symbols like ₹, $, €
-
-// figure out currency from symbols like ₹, $, €
-const detectCurrency = (text) => {
-  const currencyPatterns = {
-    INR: /\b(?:INR|Rs\.?|₹|Rupees?|Indian Rupees?)\b/i,
-    USD: /\b(?:USD|\$|Dollars?|US Dollars?)\b/i,
-    EUR: /\b(?:EUR|€|Euros?)\b/i,
-    GBP: /\b(?:GBP|£|Pounds?)\b/i,
-  };
-
-  for (const [currency, pattern] of Object.entries(currencyPatterns)) {
-    if (pattern.test(text)) {
-      return currency;
+  if (trace.enabled) {
+    // the numbers no rule looked at
+    for (const match of text.matchAll(new RegExp(NUMBER_PATTERN, "g"))) {
+      if (decisions.has(match.index)) continue;
+      decisions.set(match.index, {
+        token: match[0],
+        index: match.index,
+        rule: null,
+        kept: false,
+        reason: fallback
+          ? "not a whole number on its own"
+          : "no label, currency or decimals next to it",
+      });
     }
+    [...decisions.values()]
+      .sort((a, b) => a.index - b.index)
+      .forEach((decision) => trace.add("tokens", decision));
   }
 
-  return "INR"; // Default to INR for Indian medical bills
+  const inOrder = (map) =>
+    [...map.entries()].sort(([a], [b]) => a - b).map(([, entry]) => entry);
+  return { tokens: inOrder(tokens), excluded: inOrder(excluded) };
 };
 
 module.exports = {
   extractTextFromImage,
+  extractTextFromPdf,
+  extractTextFromFile,
   extractTextFromString,
 };
@@ -0,0 +1,327 @@
+const Tesseract = require("tesseract.js");
+const config = require("../config/env");
+const logger = require("../utils/logger");
+const { AppError } = require("../middleware/errorHandler");
+const { checkLanguageData } = require("./languageDataService");
+
+// warm tesseract workers shared by all requests, plus the jobs waiting for one
+const pool = {
+  workers: [],
+  idle: [],
+  queue: [],
+  initPromise: null,
+  closing: false,
+  lastError: null,
+  languageData: null, // kept to start replacement workers
+  replacing: 0, // replacement workers still starting
+};
+
+// spin up one worker with the language model loaded
+const createPoolWorker = (index, languageData) =>
+  new Promise((resolve, reject) => {
+    const entry = {
+      index,
+      worker: null,
+      job: null,
+      languages: config.ocrLanguages, // what the worker is initialized with right now
+    };
+
+    Tesseract.createWorker(config.ocrLanguages, Tesseract.OEM.LSTM_ONLY, {
+      // local files only, tesseract would otherwise fetch from the jsdelivr cdn
+      langPath: languageData.langPath,
+      cachePath: languageData.cachePath,
+      gzip: languageData.gzip,
+      // tesseract deletes cached data that fails to load, never let it touch the source dir
+      cacheMethod:
+        languageData.cachePath === languageData.langPath ? "readOnly" : "write",
+      // tesseract reports progress per worker, route it to whichever job is running
+      logger: (m) => {
+        if (entry.job && entry.job.onProgress) entry.job.onProgress(m);
+      },
+      // without a handler tesseract rethrows worker errors as uncaught exceptions
+      errorHandler: (error) => {
+        // createWorker never settles when loading fails, so fail startup from here
+        if (!entry.worker) {
+          reject(new Error(String(error)));
+          return;
+        }
+        logger.error("Tesseract worker error", { worker: index, error });
+      },
+    }).then((worker) => {
+      entry.worker = worker;
+      resolve(entry);
+    }, reject);
+  });
+
+// record why startup failed and fail anything waiting on it
+const failStartup = (error) => {
+  pool.initPromise = null;
+  pool.lastError = error.message;
+
+  // nothing will ever pick these up, fail them instead of leaving them hanging
+  for (const job of pool.queue.splice(0)) {
+    job.reject(
+      new AppError("OCR engine failed to start", 503, "ocr_unavailable")
+    );
+  }
+
+  throw error;
+};
+
+/**
+ * Start the worker pool. Safe to call more than once, later calls reuse the first
+ * @param {number} size - Number of workers to keep warm
+ * @returns {Promise<void>}
+ */
+const initWorkerPool = (size = config.ocrPoolSize) => {
+  if (pool.initPromise) return pool.initPromise;
+
+  pool.closing = false;
+  pool.initPromise = (async () => {
+    logger.info("Starting OCR worker pool", { size });
+
+    const languageData = checkLanguageData();
+    if (!languageData.ok) {
+      failStartup(
+        new Error(
+          `Missing OCR language data: ${languageData.missing.join(", ")}`
+        )
+      );
+    }
+
+    const results = await Promise.allSettled(
+      Array.from({ length: size }, (_, i) => createPoolWorker(i, languageData))
+    );
+    const started = results
+      .filter((r) => r.status === "fulfilled")
+      .map((r) => r.value);
+    const failed = results.find((r) => r.status === "rejected");
+
+    if (failed) {
+      await Promise.all(started.map((entry) => entry.worker.terminate()));
+      failStartup(
+        failed.reason instanceof Error
+          ? failed.reason
+          : new Error(String(failed.reason))
+      );
+    }
+
+    pool.workers = started;
+    pool.idle = [...started];
+    pool.languageData = languageData;
+    pool.lastError = null;
+    logger.info("OCR worker pool ready", { size });
+
+    // anything that queued up while workers were loading can start now
+    drainQueue();
+  })();
+
+  return pool.initPromise;
+};
+
+// hand idle workers to waiting jobs
+const drainQueue = () => {
+  while (pool.idle.length > 0 && pool.queue.length > 0) {
+    runJob(pool.idle.shift(), pool.queue.shift());
+  }
+};
+
+const runJob = async (entry, job) => {
+  entry.job = job;
+
+  try {
+    // every language is loaded at startup, switching between them only re-initializes
+    const languages = job.languages || config.ocrLanguages;
+    if (entry.languages !== languages) {
+      entry.languages = null; // unknown until the switch has finished
+      await entry.worker.reinitialize(languages, Tesseract.OEM.LSTM_ONLY);
+      entry.languages = languages;
+    }
+
+    const result = await entry.worker.recognize(
+      job.image,
+      job.options,
+      job.output
+    );
+    job.resolve(result);
+  } catch (error) {
+    job.reject(error instanceof Error ? error : new Error(String(error)));
+  } finally {
+    entry.job = null;
+    // a recycled worker has already been replaced, don't hand it out again
+    if (!pool.closing && !entry.retired) {
+      pool.idle.push(entry);
+      drainQueue();
+    }
+  }
+};
+
+// tesseract can't stop a recognize halfway, so an aborted job's worker is
+// terminated and a fresh one started in its place
+const recycleWorker = (entry, requestId) => {
+  entry.retired = true;
+  entry.job = null;
+  pool.workers = pool.workers.filter((w) => w !== entry);
+  entry.worker.terminate().catch(() => {});
+
+  logger.warn("Recycling OCR worker after aborted job", {
+    requestId,
+    worker: entry.index,
+  });
+
+  if (pool.closing || !pool.languageData) return;
+  pool.replacing++;
+  createPoolWorker(entry.index, pool.languageData).then(
+    (fresh) => {
+      pool.replacing--;
+      if (pool.closing) return fresh.worker.terminate();
+      pool.workers.push(fresh);
+      pool.idle.push(fresh);
+      drainQueue();
+    },
+    (error) => {
+      pool.replacing--;
+      pool.lastError = error.message;
+      logger.error("Failed to replace OCR worker", {
+        worker: entry.index,
+        error: error.message,
+      });
+
+      // with no worker left nothing would pick up jobs again, start the pool
+      // over (a failed restart fails the queued jobs)
+      if (!pool.closing && pool.workers.length === 0 && pool.replacing === 0) {
+        pool.initPromise = null;
+        initWorkerPool().catch(() => {});
+      }
+    }
+  );
+};
+
+// the error an aborted job fails with, the signal's reason when it is one
+const abortError = (signal) =>
+  signal.reason instanceof Error
+    ? signal.reason
+    : new AppError("OCR job was cancelled", 499, "ocr_cancelled");
+
+/**
+ * Recognize an image on the next free worker. Jobs wait in a bounded queue
+ * when every worker is busy, and are rejected with `ocr_busy` once it is full.
+ * Aborting `signal` drops a queued job, or recycles the worker of a running one
+ * @param {Buffer} image - Image to recognize
+ * @param {{requestId?: string, options?: object, output?: object, onProgress?: Function, signal?: AbortSignal, languages?: string}} opts
+ *   options: tesseract parameters / rectangle for this job, output: e.g. { text: true, blocks: true },
+ *   languages: subset of OCR_LANGUAGES to read with (e.g. "eng+hin"), all of them by default
+ * @returns {Promise<object>} Tesseract recognize result
+ */
+const recognize = async (
+  image,
+  { requestId, options = {}, output, onProgress, signal, languages } = {}
+) => {
+  if (signal && signal.aborted) throw abortError(signal);
+
+  if (pool.closing) {
+    throw new AppError(
+      "OCR service is shutting down",
+      503,
+      "ocr_unavailable"
+    );
+  }
+
+  if (pool.queue.length >= config.ocrQueueMax) {
+    logger.warn("OCR queue full, rejecting job", {
+      requestId,
+      queued: pool.queue.length,
+    });
+    throw new AppError(
+      "OCR service is busy, please retry shortly",
+      503,
+      "ocr_busy"
+    );
+  }
+
+  // workers are started at boot, but scripts using the service directly start them here
+  if (!pool.initPromise && pool.workers.length === 0) {
+    initWorkerPool().catch(() => {});
+  }
+
+  return new Promise((resolve, reject) => {
+    if (pool.idle.length === 0) {
+      logger.debug("OCR job queued", {
+        requestId,
+        queued: pool.queue.length + 1,
+      });
+    }
+
+    const job = {
+      image,
+      options,
+      output,
+      onProgress,
+      languages,
+      requestId,
+      resolve: (result) => {
+        if (signal) signal.removeEventListener("abort", onAbort);
+        resolve(result);
+      },
+      reject: (error) => {
+        if (signal) signal.removeEventListener("abort", onAbort);
+        reject(error);
+      },
+    };
+
+    // nobody is waiting for the result any more, free the queue slot or the worker
+    const onAbort = () => {
+      const position = pool.queue.indexOf(job);
+      if (position !== -1) {
+        pool.queue.splice(position, 1);
+      } else {
+        const entry = pool.workers.find((w) => w.job === job);
+        if (entry) recycleWorker(entry, requestId);
+      }
+      job.reject(abortError(signal));
+    };
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+
+    pool.queue.push(job);
+    drainQueue();
+  });
+};
+
+/**
+ * Stop accepting jobs, fail anything still queued and terminate the workers
+ * @returns {Promise<void>}
+ */
+const shutdownWorkerPool = async () => {
+  pool.closing = true;
+
+  for (const job of pool.queue.splice(0)) {
+    job.reject(
+      new AppError("OCR service is shutting down", 503, "ocr_unavailable")
+    );
+  }
+
+  const workers = pool.workers.splice(0);
+  pool.idle = [];
+  pool.initPromise = null;
+
+  await Promise.all(workers.map((entry) => entry.worker.terminate()));
+  logger.info("OCR worker pool stopped", { terminated: workers.length });
+};
+
+// current pool usage, handy for health checks
+const getPoolStats = () => ({
+  ready: pool.workers.length > 0 && !pool.closing,
+  error: pool.lastError,
+  size: pool.workers.length,
+  busy: pool.workers.length - pool.idle.length,
+  idle: pool.idle.length,
+  queued: pool.queue.length,
+  maxQueue: config.ocrQueueMax,
+});
+
+module.exports = {
+  initWorkerPool,
+  recognize,
+  shutdownWorkerPool,
+  getPoolStats,
+};
@@ -0,0 +1,218 @@
+const path = require("path");
+const canvas = require("@napi-rs/canvas");
+const config = require("../config/env");
+const logger = require("../utils/logger");
+const { AppError } = require("../middleware/errorHandler");
+
+// pdfjs looks for node-canvas to polyfill these, give it the napi-rs versions instead
+globalThis.DOMMatrix = globalThis.DOMMatrix || canvas.DOMMatrix;
+globalThis.Path2D = globalThis.Path2D || canvas.Path2D;
+globalThis.ImageData = globalThis.ImageData || canvas.ImageData;
+
+const pdfjsLib = require("pdfjs-dist/legacy/build/pdf.js");
+
+const STANDARD_FONTS_DIR =
+  path.join(
+    path.dirname(require.resolve("pdfjs-dist/package.json")),
+    "standard_fonts"
+  ) + path.sep;
+
+// canvas factory so pdfjs can create scratch canvases while rendering
+class NapiCanvasFactory {
+  create(width, height) {
+    const pageCanvas = canvas.createCanvas(width, height);
+    return { canvas: pageCanvas, context: pageCanvas.getContext("2d") };
+  }
+
+  reset(canvasAndContext, width, height) {
+    canvasAndContext.canvas.width = width;
+    canvasAndContext.canvas.height = height;
+  }
+
+  destroy(canvasAndContext) {
+    canvasAndContext.canvas.width = 0;
+    canvasAndContext.canvas.height = 0;
+    canvasAndContext.canvas = null;
+    canvasAndContext.context = null;
+  }
+}
+
+// scratch context for measuring text, only ratios matter so any sans font will do
+const measureContext = canvas.createCanvas(1, 1).getContext("2d");
+measureContext.font = "10px sans-serif";
+
+// split a text item into words, pdfs only give the item's box so share its width
+// out by how wide each part of the string is in a generic font
+const itemWords = (str, box) => {
+  const words = [];
+  const scale =
+    (box.x1 - box.x0) / Math.max(1, measureContext.measureText(str).width);
+  const offset = (index) => measureContext.measureText(str.slice(0, index)).width * scale;
+  const pattern = /\S+/g;
+  let match;
+
+  while ((match = pattern.exec(str)) !== null) {
+    words.push({
+      text: match[0],
+      bbox: {
+        x0: Math.round(box.x0 + offset(match.index)),
+        y0: box.y0,
+        x1: Math.round(box.x0 + offset(match.index + match[0].length)),
+        y1: box.y1,
+      },
+    });
+  }
+  return words;
+};
+
+// rebuild text lines from pdf text items by grouping on their baseline,
+// with boxes in the pixel space of the page rendered at pdfRenderScale
+const textContentToLines = (items, viewport) => {
+  const rows = [];
+
+  for (const item of items) {
+    if (!item.str || !item.str.trim()) continue;
+
+    const x = item.transform[4];
+    const y = item.transform[5];
+    const tolerance = Math.max(2, (item.height || 10) / 2);
+    let row = rows.find((r) => Math.abs(r.y - y) <= tolerance);
+
+    if (!row) {
+      row = { y, items: [] };
+      rows.push(row);
+    }
+
+    // item transform is in pdf units with the origin at the bottom left
+    const [, , , , left, baseline] = pdfjsLib.Util.transform(
+      viewport.transform,
+      item.transform
+    );
+    const fontHeight = Math.hypot(item.transform[2], item.transform[3]) * viewport.scale;
+    const box = {
+      x0: Math.round(left),
+      y0: Math.round(baseline - fontHeight),
+      x1: Math.round(left + item.width * viewport.scale),
+      y1: Math.round(baseline + fontHeight * 0.25), // leave room for descenders
+    };
+    row.items.push({ x, str: item.str, words: itemWords(item.str, box) });
+  }
+
+  // pdf y axis grows upwards, so top of page comes first when sorting descending
+  return rows
+    .sort((a, b) => b.y - a.y)
+    .map((row) => {
+      const sorted = row.items.sort((a, b) => a.x - b.x);
+      const words = sorted.flatMap((i) => i.words);
+      return {
+        text: sorted.map((i) => i.str.trim()).join(" "),
+        bbox: {
+          x0: Math.min(...words.map((w) => w.bbox.x0)),
+          y0: Math.min(...words.map((w) => w.bbox.y0)),
+          x1: Math.max(...words.map((w) => w.bbox.x1)),
+          y1: Math.max(...words.map((w) => w.bbox.y1)),
+        },
+        words,
+      };
+    });
+};
+
+// render one page to a png buffer that tesseract can read
+const renderPage = async (page) => {
+  const viewport = page.getViewport({ scale: config.pdfRenderScale });
+  const pageCanvas = canvas.createCanvas(
+    Math.ceil(viewport.width),
+    Math.ceil(viewport.height)
+  );
+  const context = pageCanvas.getContext("2d");
+
+  // white background, scanned pages are often transparent
+  context.fillStyle = "#ffffff";
+  context.fillRect(0, 0, pageCanvas.width, pageCanvas.height);
+
+  await page.render({ canvasContext: context, viewport }).promise;
+
+  return pageCanvas.toBuffer("image/png");
+};
+
+/**
+ * Load a PDF and split it into pages, using the embedded text layer when present
+ * and rasterizing the page when it isn't (scanned documents)
+ * @param {Buffer} pdfBuffer - Uploaded PDF
+ * @param {string} requestId - Request ID for logging
+ * @returns {Promise<Array<{page: number, text: string|null, image: Buffer|null,
+ *   lines?: Array<object>, size?: {width: number, height: number}}>>}
+ *   text layer pages carry positioned lines, sized like the rendered page
+ */
+const loadPdfPages = async (pdfBuffer, requestId) => {
+  let doc;
+
+  try {
+    doc = await pdfjsLib.getDocument({
+      data: new Uint8Array(pdfBuffer),
+      canvasFactory: new NapiCanvasFactory(),
+      standardFontDataUrl: STANDARD_FONTS_DIR,
+      isEvalSupported: false,
+      disableFontFace: true,
+      verbosity: 0,
+    }).promise;
+  } catch (error) {
+    logger.warn("Failed to open PDF", { requestId, error: error.message });
+    const message =
+      error.name === "PasswordException"
+        ? "Password protected PDFs are not supported"
+        : "The uploaded PDF could not be read";
+    throw new AppError(message, 400, "invalid_pdf");
+  }
+
+  try {
+    if (doc.numPages > config.maxPdfPages) {
+      throw new AppError(
+        `PDF has ${doc.numPages} pages, maximum allowed is ${config.maxPdfPages}`,
+        400,
+        "too_many_pages"
+      );
+    }
+
+    logger.info("PDF loaded", { requestId, pageCount: doc.numPages });
+
+    const pages = [];
+    for (let pageNumber = 1; pageNumber <= doc.numPages; pageNumber++) {
+      const page = await doc.getPage(pageNumber);
+      const content = await page.getTextContent();
+      const viewport = page.getViewport({ scale: config.pdfRenderScale });
+      const lines = textContentToLines(content.items, viewport);
+      const text = lines.map((line) => line.text).join("\n");
+
+      // a handful of characters is usually just a scanner stamp, not a real text layer
+      if (text.replace(/\s/g, "").length >= config.pdfMinTextLayerChars) {
+        pages.push({
+          page: pageNumber,
+          text,
+          image: null,
+          lines,
+          size: {
+            width: Math.ceil(viewport.width),
+            height: Math.ceil(viewport.height),
+          },
+        });
+      } else {
+        logger.debug("PDF page has no usable text layer, rasterizing", {
+          requestId,
+          page: pageNumber,
+        });
+        pages.push({ page: pageNumber, text: null, image: await renderPage(page) });
+      }
+
+      page.cleanup();
+    }
+
+    return pages;
+  } finally {
+    await doc.destroy();
+  }
+};
+
+module.exports = {
+  loadPdfPages,
+};
@@ -0,0 +1,381 @@
+const sharp = require("sharp");
+const config = require("../config/env");
+const logger = require("../utils/logger");
+const { AppError } = require("../middleware/errorHandler");
+
+// every supported transform, in the order they always run
+const PREPROCESS_STEPS = [
+  "orientation",
+  "grayscale",
+  "upscale",
+  "deskew",
+  "denoise",
+  "threshold",
+];
+
+/**
+ * Parse a comma separated step list ("none" or "" disables preprocessing)
+ * @param {string|string[]} value - e.g. "grayscale,threshold"
+ * @returns {string[]} Steps in pipeline order
+ */
+const parseSteps = (value) => {
+  const requested = (Array.isArray(value) ? value : String(value).split(","))
+    .map((s) => s.trim().toLowerCase())
+    .filter((s) => s && s !== "none");
+
+  const unknown = requested.filter((s) => !PREPROCESS_STEPS.includes(s));
+  if (unknown.length > 0) {
+    throw new AppError(
+      `Unknown preprocessing step(s): ${unknown.join(", ")}. Allowed: ${PREPROCESS_STEPS.join(", ")}`,
+      400,
+      "invalid_preprocess"
+    );
+  }
+
+  return PREPROCESS_STEPS.filter((s) => requested.includes(s));
+};
+
+const toRaw = (pipeline) => pipeline.raw().toBuffer({ resolveWithObject: true });
+
+const fromRaw = ({ data, info }) =>
+  sharp(data, {
+    raw: { width: info.width, height: info.height, channels: info.channels },
+  });
+
+// variance of an ink histogram, peaks when text lines line up with the bins
+const profileVariance = (bins) => {
+  const mean = bins.reduce((a, b) => a + b, 0) / bins.length;
+  return bins.reduce((acc, b) => acc + (b - mean) ** 2, 0) / bins.length;
+};
+
+// how sharp the row profile is when the page is rotated by `degrees`
+const skewScore = ({ ink, width, height }, degrees) => {
+  const rad = (degrees * Math.PI) / 180;
+  const sin = Math.sin(rad);
+  const cos = Math.cos(rad);
+  const offset = width * Math.abs(sin);
+  const bins = new Array(Math.ceil(height + offset * 2) + 1).fill(0);
+
+  for (let i = 0; i < ink.length; i += 2) {
+    const row = Math.round(ink[i + 1] * cos - ink[i] * sin + offset);
+    bins[row]++;
+  }
+
+  return profileVariance(bins);
+};
+
+// find the text line angle with a coarse then a fine projection-profile search
+const detectSkewAngle = (analysis) => {
+  const max = config.preprocessMaxSkewDegrees;
+  let best = { angle: 0, score: skewScore(analysis, 0) };
+
+  const search = (from, to, step) => {
+    for (let angle = from; angle <= to + 1e-9; angle += step) {
+      const score = skewScore(analysis, angle);
+      if (score > best.score) best = { angle, score };
+    }
+  };
+
+  search(-max, max, 1);
+  search(best.angle - 1, best.angle + 1, 0.1);
+
+  return Math.round(best.angle * 10) / 10;
+};
+
+// bradley adaptive threshold: compare each pixel to the mean of its neighbourhood
+const adaptiveThreshold = ({ data, info }) => {
+  const { width, height } = info;
+  const integral = new Float64Array((width + 1) * (height + 1));
+
+  for (let y = 1; y <= height; y++) {
+    let rowSum = 0;
+    for (let x = 1; x <= width; x++) {
+      rowSum += data[(y - 1) * width + (x - 1)];
+      integral[y * (width + 1) + x] = integral[(y - 1) * (width + 1) + x] + rowSum;
+    }
+  }
+
+  const half = Math.max(7, Math.floor(width / 32));
+  const out = Buffer.alloc(width * height);
+
+  for (let y = 0; y < height; y++) {
+    const y1 = Math.max(0, y - half);
+    const y2 = Math.min(height, y + half + 1);
+    for (let x = 0; x < width; x++) {
+      const x1 = Math.max(0, x - half);
+      const x2 = Math.min(width, x + half + 1);
+      const area = (x2 - x1) * (y2 - y1);
+      const sum =
+        integral[y2 * (width + 1) + x2] -
+        integral[y1 * (width + 1) + x2] -
+        integral[y2 * (width + 1) + x1] +
+        integral[y1 * (width + 1) + x1];
+
+      out[y * width + x] =
+        data[y * width + x] * area < sum * (1 - config.preprocessThresholdBias)
+          ? 0
+          : 255;
+    }
+  }
+
+  return { data: out, info: { width, height, channels: 1 } };
+};
+
+// small binarized copy used for layout analysis (orientation, skew)
+const analysisCopy = async (state, maxWidth = 800) => {
+  const gray = await toRaw(
+    fromRaw(state)
+      .grayscale()
+      .resize({ width: Math.min(maxWidth, state.info.width) })
+  );
+  const { data, info } = adaptiveThreshold(gray);
+
+  let paper = 0;
+  for (let i = 0; i < gray.data.length; i++) paper += gray.data[i];
+
+  const ink = [];
+  for (let y = 0; y < info.height; y++) {
+    for (let x = 0; x < info.width; x++) {
+      if (data[y * info.width + x] === 0) ink.push(x, y);
+    }
+  }
+
+  return {
+    ink,
+    width: info.width,
+    height: info.height,
+    // average brightness, close enough to the paper colour to fill rotated corners
+    paper: Math.round(paper / gray.data.length),
+  };
+};
+
+// each step takes the raw image and returns the new one, or null when nothing was needed
+const stepHandlers = {
+  orientation: async (state, meta) => {
+    const details = {};
+
+    // exif rotation from phone cameras
+    if (meta.orientation && meta.orientation > 1) {
+      details.exif_orientation = meta.orientation;
+    }
+
+    // text lines make a strong row profile, if the column profile is stronger the page is sideways
+    const analysis = await analysisCopy(state, 400);
+    const rows = new Array(analysis.height).fill(0);
+    const cols = new Array(analysis.width).fill(0);
+    for (let i = 0; i < analysis.ink.length; i += 2) {
+      cols[analysis.ink[i]]++;
+      rows[analysis.ink[i + 1]]++;
+    }
+    const sideways = profileVariance(cols) > profileVariance(rows) * 1.5;
+
+    if (!details.exif_orientation && !sideways) return null;
+
+    let pipeline = fromRaw(state);
+    if (sideways) {
+      // the profile can't tell 90 from 270, assume the common clockwise phone rotation
+      pipeline = pipeline.rotate(-90);
+      details.rotated = -90;
+    }
+    return {
+      state: await toRaw(pipeline),
+      details,
+      // exif rotation happens before the pipeline, only the sideways fix moves pixels
+      ...(sideways && { transform: { rotate: -90 } }),
+    };
+  },
+
+  grayscale: async (state) => {
+    if (state.info.channels === 1) return null;
+    return { state: await toRaw(fromRaw(state).grayscale()), details: {} };
+  },
+
+  upscale: async (state) => {
+    const { width } = state.info;
+    if (width >= config.preprocessMinWidth) return null;
+
+    const factor = Math.min(3, config.preprocessMinWidth / width);
+    const next = await toRaw(
+      fromRaw(state).resize({
+        width: Math.round(width * factor),
+        kernel: "lanczos3",
+      })
+    );
+    return {
+      state: next,
+      details: { factor: Math.round(factor * 100) / 100 },
+      transform: { scale: next.info.width / width },
+    };
+  },
+
+  deskew: async (state) => {
+    const analysis = await analysisCopy(state);
+    const angle = detectSkewAngle(analysis);
+    if (Math.abs(angle) < 0.5) return null;
+
+    const { paper } = analysis;
+    const next = await toRaw(
+      fromRaw(state).rotate(-angle, {
+        background: { r: paper, g: paper, b: paper, alpha: 1 },
+      })
+    );
+    return { state: next, details: { angle }, transform: { rotate: -angle } };
+  },
+
+  denoise: async (state) => ({
+    state: await toRaw(fromRaw(state).median(3)),
+    details: { filter: "median", size: 3 },
+  }),
+
+  threshold: async (state) => {
+    const gray =
+      state.info.channels === 1 ? state : await toRaw(fromRaw(state).grayscale());
+    return {
+      state: adaptiveThreshold(gray),
+      details: { method: "adaptive_mean", bias: config.preprocessThresholdBias },
+    };
+  },
+};
+
+// size of an image as it is displayed, i.e. after its exif orientation
+const uprightSize = (meta) =>
+  meta.orientation >= 5
+    ? { width: meta.height, height: meta.width }
+    : { width: meta.width, height: meta.height };
+
+/**
+ * Clean up an uploaded photo before OCR
+ * @param {Buffer} imageBuffer - Original image
+ * @param {string[]} steps - Steps to run (see PREPROCESS_STEPS)
+ * @param {string} requestId - Request ID for logging
+ * @returns {Promise<{image: Buffer, applied: Array<object>, skipped: string[],
+ *   size: {width: number, height: number}, transforms: Array<object>}>}
+ *   size and transforms describe the geometry, see mapBoxToSource
+ */
+const preprocessImage = async (imageBuffer, steps, requestId) => {
+  if (!steps || steps.length === 0) {
+    const meta = await sharp(imageBuffer).metadata();
+    return {
+      image: imageBuffer,
+      applied: [],
+      skipped: [],
+      size: { width: meta.width, height: meta.height },
+      transforms: [],
+    };
+  }
+
+  const applied = [];
+  const skipped = [];
+  const transforms = [];
+  let size = null;
+
+  try {
+    const meta = await sharp(imageBuffer).metadata();
+    const upright = steps.includes("orientation");
+    size = upright ? uprightSize(meta) : { width: meta.width, height: meta.height };
+
+    // .rotate() with no angle applies the exif orientation, only do it when asked
+    const base = sharp(imageBuffer).flatten({ background: "#ffffff" });
+    let state = await toRaw(upright ? base.rotate() : base);
+
+    for (const step of steps) {
+      const result = await stepHandlers[step](state, meta);
+      if (result) {
+        // remember the input size so boxes can be mapped back through the step
+        if (result.transform) {
+          transforms.push({
+            ...result.transform,
+            from: { width: state.info.width, height: state.info.height },
+            to: { width: result.state.info.width, height: result.state.info.height },
+          });
+        }
+        state = result.state;
+        applied.push({ step, ...result.details });
+      } else {
+        skipped.push(step);
+      }
+    }
+
+    logger.debug("Image preprocessing complete", {
+      requestId,
+      applied: applied.map((a) => a.step),
+      skipped,
+    });
+
+    return {
+      image: await fromRaw(state).png().toBuffer(),
+      applied,
+      skipped,
+      size,
+      transforms,
+    };
+  } catch (error) {
+    // preprocessing only helps, never fail the request because of it
+    logger.warn("Image preprocessing failed, using original image", {
+      requestId,
+      error: error.message,
+    });
+    return {
+      image: imageBuffer,
+      applied: [],
+      skipped: steps,
+      error: error.message,
+      size,
+      transforms: [],
+    };
+  }
+};
+
+// undo one rotation (sharp rotates clockwise around the centre and grows the canvas)
+const unrotatePoint = ([x, y], { rotate, from, to }) => {
+  const rad = (-rotate * Math.PI) / 180;
+  const dx = x - to.width / 2;
+  const dy = y - to.height / 2;
+  return [
+    dx * Math.cos(rad) - dy * Math.sin(rad) + from.width / 2,
+    dx * Math.sin(rad) + dy * Math.cos(rad) + from.height / 2,
+  ];
+};
+
+/**
+ * Map a box found on the preprocessed image back onto the original (upright) image
+ * @param {{x0: number, y0: number, x1: number, y1: number}} bbox - Box on the processed image
+ * @param {Array<object>} transforms - From preprocessImage
+ * @param {{width: number, height: number}} size - Original image size, boxes are clipped to it
+ * @returns {{x0: number, y0: number, x1: number, y1: number}}
+ */
+const mapBoxToSource = (bbox, transforms, size) => {
+  let corners = [
+    [bbox.x0, bbox.y0],
+    [bbox.x1, bbox.y0],
+    [bbox.x0, bbox.y1],
+    [bbox.x1, bbox.y1],
+  ];
+
+  for (const transform of [...transforms].reverse()) {
+    corners = corners.map((point) =>
+      transform.scale
+        ? [point[0] / transform.scale, point[1] / transform.scale]
+        : unrotatePoint(point, transform)
+    );
+  }
+
+  // a rotated box no longer lines up with the axes, report its envelope
+  const xs = corners.map((c) => c[0]);
+  const ys = corners.map((c) => c[1]);
+  const clip = (v, max) => Math.round(Math.min(Math.max(v, 0), max));
+  return {
+    x0: clip(Math.min(...xs), size.width),
+    y0: clip(Math.min(...ys), size.height),
+    x1: clip(Math.max(...xs), size.width),
+    y1: clip(Math.max(...ys), size.height),
+  };
+};
+
+module.exports = {
+  PREPROCESS_STEPS,
+  parseSteps,
+  preprocessImage,
+  mapBoxToSource,
+  adaptiveThreshold,
+};
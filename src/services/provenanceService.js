@@ -0,0 +1,139 @@
+const { normalizeToken } = require("./normalizationService");
+
+// tesseract and the pdf text layer don't agree on spacing, compare on single spaces
+const squash = (text) => text.toLowerCase().replace(/[ \t]+/g, " ");
+
+// words that are only a currency marker aren't part of the label
+const CURRENCY_WORD = /^(?:rs\.?|inr|₹|\$|€|£|[:\-])$/i;
+
+// union of several word boxes
+const unionBox = (words) =>
+  words.length === 0
+    ? null
+    : {
+        x0: Math.min(...words.map((w) => w.bbox.x0)),
+        y0: Math.min(...words.map((w) => w.bbox.y0)),
+        x1: Math.max(...words.map((w) => w.bbox.x1)),
+        y1: Math.max(...words.map((w) => w.bbox.y1)),
+      };
+
+// does a word read as the amount (after the same ocr fixes normalization applies)
+const matchesValue = (word, value) =>
+  /\d/.test(word.text) &&
+  normalizeToken(
+    word.text.replace(/^(?:rs\.?|inr)/i, "").replace(/[:;]+$/, "")
+  ) === value;
+
+const isLabelWord = (word) =>
+  /[a-z]/i.test(word.text) && !CURRENCY_WORD.test(word.text);
+
+// lay a page's words out on one string so the classification snippet can be found in it
+const indexPage = (page) => {
+  const words = [];
+  let text = "";
+
+  page.lines.forEach((line, lineIndex) => {
+    if (lineIndex > 0) text += "\n";
+    line.words.forEach((word, wordIndex) => {
+      if (wordIndex > 0) text += " ";
+      words.push({ ...word, line: lineIndex, start: text.length });
+      text += squash(word.text);
+    });
+  });
+
+  return { text, words };
+};
+
+// classification sources look like "text: 'total: 214.00'"
+const sourceSnippet = (source) => {
+  const match = /^text: '([\s\S]*)'$/.exec(source || "");
+  return match ? squash(match[1]).trim() : null;
+};
+
+/**
+ * Find the words a classified amount was read from: the value itself and its label
+ * @param {{value: number, source?: string, words?: object}} amount - Classified amount,
+ *   words when classification already knows which printing it read
+ * @param {Array<{page: number, lines: Array<object>}>} layout - Positioned lines per page
+ * @returns {{page: number, value: object, label: Array<object>}|null}
+ */
+const findAmountWords = (amount, layout) => {
+  if (!layout || layout.length === 0) return null;
+
+  // classified on the layout itself, the exact printing (a value can be printed twice)
+  if (amount.words) {
+    return { ...amount.words, label: amount.words.label.filter(isLabelWord) };
+  }
+
+  const pages = layout.map((page) => ({ page: page.page, ...indexPage(page) }));
+  const snippet = sourceSnippet(amount.source);
+
+  // best case: the exact snippet classification matched, label and value together
+  if (snippet) {
+    for (const page of pages) {
+      const start = page.text.indexOf(snippet);
+      if (start === -1) continue;
+
+      const end = start + snippet.length;
+      const inSnippet = page.words.filter(
+        (w) => w.start >= start && w.start < end
+      );
+      const valueWord = [...inSnippet]
+        .reverse()
+        .find((w) => matchesValue(w, amount.value));
+      if (!valueWord) continue;
+
+      return {
+        page: page.page,
+        value: valueWord,
+        label: inSnippet.filter(
+          (w) => w.start < valueWord.start && isLabelWord(w)
+        ),
+      };
+    }
+  }
+
+  // otherwise the first occurrence of the value, labelled by the words before it on its line
+  for (const page of pages) {
+    const valueWord = page.words.find((w) => matchesValue(w, amount.value));
+    if (!valueWord) continue;
+
+    return {
+      page: page.page,
+      value: valueWord,
+      label: page.words.filter(
+        (w) =>
+          w.line === valueWord.line &&
+          w.start < valueWord.start &&
+          isLabelWord(w)
+      ),
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Find where on the document a classified amount was read, so review tools can
+ * highlight it. Boxes are pixels on the uploaded image (pdf pages: rendered at
+ * PDF_RENDER_SCALE) as {x0, y0, x1, y1}
+ * @param {{value: number, source?: string}} amount - Classified amount
+ * @param {Array<{page: number, lines: Array<object>}>} layout - Positioned lines per page
+ * @returns {{page: number|null, bbox: object|null, label_bbox: object|null}}
+ */
+const locateAmount = (amount, layout) => {
+  const found = findAmountWords(amount, layout);
+  if (!found) return { page: null, bbox: null, label_bbox: null };
+
+  return {
+    page: found.page,
+    bbox: found.value.bbox,
+    label_bbox: unionBox(found.label),
+  };
+};
+
+module.exports = {
+  unionBox,
+  findAmountWords,
+  locateAmount,
+};
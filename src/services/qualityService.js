@@ -0,0 +1,159 @@
+const sharp = require("sharp");
+const config = require("../config/env");
+const logger = require("../utils/logger");
+const { adaptiveThreshold } = require("./preprocessService");
+
+// what the mobile app shows the user for each rejection reason
+const QUALITY_REASONS = {
+  too_blurry: "Image is blurry. Hold the phone steady and tap to focus before taking the photo.",
+  resolution_too_low: "Image resolution is too low. Move closer or use a higher camera resolution.",
+  too_dark: "Image is too dark. Take the photo in better light or turn on the flash.",
+  too_bright: "Image is overexposed. Avoid direct light or turn off the flash.",
+  glare_detected: "Glare is hiding part of the bill. Tilt the phone or move away from the light source.",
+  edges_cropped: "Part of the bill is cut off. Fit the whole document inside the frame.",
+};
+
+// all metrics are measured on a copy of this width so thresholds don't depend on upload size
+const ANALYSIS_WIDTH = 1000;
+
+// variance of the laplacian, low values mean there are no sharp edges (blur)
+const laplacianVariance = ({ data, info }) => {
+  const { width, height } = info;
+  let sum = 0;
+  let sumSq = 0;
+  let count = 0;
+
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const lap =
+        data[i - width] + data[i + width] + data[i - 1] + data[i + 1] - 4 * data[i];
+      sum += lap;
+      sumSq += lap * lap;
+      count++;
+    }
+  }
+
+  const mean = sum / count;
+  return sumSq / count - mean * mean;
+};
+
+// share of ink in a strip along each edge compared to the whole page
+const edgeInk = ({ data, info }) => {
+  const { width, height } = info;
+  const strip = Math.max(2, Math.round(Math.min(width, height) * 0.02));
+  const density = (x1, y1, x2, y2) => {
+    let ink = 0;
+    for (let y = y1; y < y2; y++) {
+      for (let x = x1; x < x2; x++) {
+        if (data[y * width + x] === 0) ink++;
+      }
+    }
+    return ink / Math.max(1, (x2 - x1) * (y2 - y1));
+  };
+
+  return {
+    page: density(0, 0, width, height),
+    top: density(0, 0, width, strip),
+    bottom: density(0, height - strip, width, height),
+    left: density(0, 0, strip, height),
+    right: density(width - strip, 0, width, height),
+  };
+};
+
+/**
+ * Measure blur, resolution, exposure, glare and cropping before spending an OCR pass
+ * @param {Buffer} imageBuffer - Uploaded image
+ * @param {string} requestId - Request ID for logging
+ * @returns {Promise<{ok: boolean, reasons: Array<{code: string, message: string}>, metrics: object}>}
+ */
+const assessImageQuality = async (imageBuffer, requestId) => {
+  const meta = await sharp(imageBuffer).metadata();
+  const gray = await sharp(imageBuffer)
+    .rotate()
+    .flatten({ background: "#ffffff" })
+    .grayscale()
+    .resize({ width: ANALYSIS_WIDTH })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const pixels = gray.data;
+  const histogram = new Array(256).fill(0);
+  let sum = 0;
+  for (let i = 0; i < pixels.length; i++) {
+    histogram[pixels[i]]++;
+    sum += pixels[i];
+  }
+
+  let clipped = 0;
+  for (let v = 250; v < 256; v++) clipped += histogram[v];
+
+  const percentile = (share) => {
+    for (let v = 0, seen = 0; v < 256; v++) {
+      seen += histogram[v];
+      if (seen >= pixels.length * share) return v;
+    }
+    return 255;
+  };
+  // darkest 2% of pixels is roughly the ink colour, washed out when overexposed
+  const inkLevel = percentile(0.02);
+  const median = percentile(0.5);
+  const contrast = Math.max(1, percentile(0.98) - inkLevel);
+
+  const edges = edgeInk(adaptiveThreshold(gray));
+  const metrics = {
+    width: meta.width,
+    height: meta.height,
+    dpi: meta.density || null,
+    // scaled to full contrast so dim but focused photos don't read as blurry
+    sharpness: Math.round(laplacianVariance(gray) * (255 / contrast) ** 2),
+    brightness: Math.round(sum / pixels.length),
+    ink_level: inkLevel,
+    // clipped highlights only count as glare when the paper itself isn't pure white (scans are)
+    glare: median < 235 ? parseFloat((clipped / pixels.length).toFixed(3)) : 0,
+    page_ink: parseFloat(edges.page.toFixed(3)),
+    edge_ink: parseFloat(
+      Math.max(edges.top, edges.bottom, edges.left, edges.right).toFixed(3)
+    ),
+  };
+
+  const failed = [];
+  if (metrics.sharpness < config.qualityMinSharpness) failed.push("too_blurry");
+  // cameras write a placeholder 72 dpi, only trust density values from scanners
+  const scannerDpi = metrics.dpi && metrics.dpi !== 72 ? metrics.dpi : null;
+  if (
+    Math.min(meta.width, meta.height) < config.qualityMinResolution ||
+    (scannerDpi && scannerDpi < config.qualityMinDpi)
+  ) {
+    failed.push("resolution_too_low");
+  }
+  if (metrics.brightness < config.qualityMinBrightness) failed.push("too_dark");
+  // white scans are bright too, only flag it when the text itself is washed out
+  if (metrics.brightness > config.qualityMaxBrightness && inkLevel > 120) {
+    failed.push("too_bright");
+  }
+  if (metrics.glare > config.qualityMaxGlare) failed.push("glare_detected");
+  // text running into a border is much denser than the page average
+  if (edges.page > 0 && metrics.edge_ink > Math.max(0.05, edges.page * 2)) {
+    failed.push("edges_cropped");
+  }
+
+  const reasons = failed.map((code) => ({
+    code,
+    message: QUALITY_REASONS[code],
+  }));
+
+  logger.info("Image quality assessed", {
+    requestId,
+    ok: reasons.length === 0,
+    reasons: failed,
+    metrics,
+  });
+
+  return { ok: reasons.length === 0, reasons, metrics };
+};
+
+module.exports = {
+  QUALITY_REASONS,
+  assessImageQuality,
+};
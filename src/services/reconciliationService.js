@@ -0,0 +1,441 @@
+const logger = require("../utils/logger");
+
+// one unit of rounding slack, bill totals are often rounded to the rupee
+const TOLERANCE = 1;
+
+// corrections listed at most, a line item bill can balance through many items
+const MAX_SUGGESTIONS = 5;
+// how much a correction is trusted when a check it fixes was incomplete: the
+// value that wasn't read could as well be what's off
+const INCOMPLETE_WEIGHT = 0.5;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const close = (a, b) => Math.abs(a - b) <= TOLERANCE;
+
+// the value of a type: its most confident printing
+const bestValue = (amounts, type) => {
+  const best = amounts
+    .filter((a) => a.type === type)
+    .reduce((b, a) => (!b || a.confidence > b.confidence ? a : b), null);
+  return best ? best.value : null;
+};
+
+// tax and discount can be printed as several lines (cgst + sgst), they add up
+const summedValue = (amounts, type) => {
+  const found = amounts.filter((a) => a.type === type);
+  return found.length > 0
+    ? round2(found.reduce((sum, a) => sum + a.value, 0))
+    : null;
+};
+
+// the tax lines read with their rates, else the classified tax amounts. a "total
+// gst" line next to its cgst and sgst would count twice
+const taxOf = (amounts, taxBreakdown) => {
+  const taxes = taxBreakdown && taxBreakdown.taxes;
+  if (taxes && taxes.total_tax !== null) return taxes.total_tax;
+  if (taxes && taxes.printed_total !== null) return taxes.printed_total;
+  return summedValue(amounts, "tax");
+};
+
+// discounts with percentages resolved to amounts, else the classified ones
+const discountOf = (amounts, taxBreakdown) => {
+  const resolved = taxBreakdown
+    ? taxBreakdown.discounts.filter((d) => d.amount !== null)
+    : [];
+  return resolved.length > 0
+    ? round2(resolved.reduce((sum, d) => sum + d.amount, 0))
+    : summedValue(amounts, "discount");
+};
+
+// the amount either way of the round off closest to target: the sign of a round
+// off rarely survives ocr
+const nearestRounding = (amount, roundOff, target) =>
+  [amount, amount + (roundOff || 0), amount - (roundOff || 0)].sort(
+    (a, b) => Math.abs(a - target) - Math.abs(b - target)
+  )[0];
+
+// the checks, each an equation (or limit) on the values it uses. the ones whose
+// values aren't on the bill are skipped ("a|b" needs either). expects are the
+// values that could make up the difference when they weren't read (an unread
+// discount), a check that doesn't add up without them is incomplete rather than
+// failed. a round off moves a total by less than the tolerance, it isn't expected
+const CHECKS = [
+  {
+    check: "bill_total",
+    equation: "subtotal + tax - discount ± round_off = total",
+    uses: ["subtotal", "tax", "discount", "round_off", "total"],
+    needs: ["subtotal", "total"],
+    expects: () => ["tax", "discount"],
+    evaluate: (v) => {
+      const expected = nearestRounding(
+        v.subtotal + (v.tax || 0) - (v.discount || 0),
+        v.round_off,
+        v.total
+      );
+      return { expected, actual: v.total, passed: close(expected, v.total) };
+    },
+  },
+  {
+    check: "payment",
+    equation: "paid + due = total",
+    uses: ["paid", "due", "total"],
+    needs: ["paid", "due", "total"],
+    evaluate: (v) => {
+      const expected = v.paid + v.due;
+      return { expected, actual: v.total, passed: close(expected, v.total) };
+    },
+  },
+  {
+    check: "paid_within_total",
+    equation: "paid <= total",
+    uses: ["paid", "total"],
+    needs: ["paid", "total"],
+    evaluate: (v) => ({
+      expected: v.total,
+      actual: v.paid,
+      passed: v.paid <= v.total + TOLERANCE,
+    }),
+  },
+  {
+    check: "due_within_total",
+    equation: "due <= total",
+    uses: ["due", "total"],
+    needs: ["due", "total"],
+    evaluate: (v) => ({
+      expected: v.total,
+      actual: v.due,
+      passed: v.due <= v.total + TOLERANCE,
+    }),
+  },
+  {
+    check: "line_items",
+    // against the total, less tax and the like, when the bill prints no subtotal
+    equation: (v) =>
+      v.subtotal !== null
+        ? "sum of line items = subtotal"
+        : "sum of line items = total - tax + discount ± round_off",
+    uses: ["line_items", "subtotal", "tax", "discount", "round_off", "total"],
+    needs: ["line_items", "subtotal|total"],
+    expects: (v) => (v.subtotal !== null ? [] : ["tax", "discount"]),
+    evaluate: (v) => {
+      const expected = v.line_items.reduce((sum, amount) => sum + amount, 0);
+      const against =
+        v.subtotal !== null
+          ? v.subtotal
+          : nearestRounding(
+              v.total - (v.tax || 0) + (v.discount || 0),
+              v.round_off,
+              expected
+            );
+      return { expected, actual: against, passed: close(expected, against) };
+    },
+  },
+  {
+    check: "settlement",
+    equation: "claimed - deducted = approved",
+    uses: ["claimed", "deducted", "approved"],
+    needs: ["claimed", "approved"],
+    expects: () => ["deducted"],
+    // claim settlement letters only, a bill doesn't list it as skipped
+    whenPrinted: true,
+    evaluate: (v) => {
+      const expected = v.claimed - (v.deducted || 0);
+      return {
+        expected,
+        actual: v.approved,
+        passed: close(expected, v.approved),
+      };
+    },
+  },
+];
+
+// the amount type each checked value is read from
+const FIELD_TYPES = {
+  subtotal: "subtotal",
+  tax: "tax",
+  discount: "discount",
+  round_off: "round_off",
+  total: "total_bill",
+  paid: "paid",
+  due: "due",
+  claimed: "claimed_amount",
+  deducted: "deducted_amount",
+  approved: "approved_amount",
+};
+
+const isMissing = (v, field) =>
+  field === "line_items" ? v.line_items.length === 0 : v[field] === null;
+
+// the values a check needs that the bill doesn't have
+const missingFor = (v, needs) =>
+  needs.flatMap((need) => {
+    const options = need.split("|");
+    return options.every((field) => isMissing(v, field)) ? options : [];
+  });
+
+// run every check on a set of values
+const runChecks = (values) =>
+  CHECKS.filter(
+    (definition) =>
+      !definition.whenPrinted ||
+      definition.uses.some((field) => !isMissing(values, field))
+  ).map((definition) => {
+    const equation =
+      typeof definition.equation === "function"
+        ? definition.equation(values)
+        : definition.equation;
+    const missing = missingFor(values, definition.needs);
+    if (missing.length > 0) {
+      return { check: definition.check, equation, status: "skipped", missing };
+    }
+
+    const result = definition.evaluate(values);
+    const absent = result.passed
+      ? []
+      : (definition.expects ? definition.expects(values) : []).filter(
+          (field) => isMissing(values, field)
+        );
+    let status = "passed";
+    if (!result.passed) status = absent.length > 0 ? "incomplete" : "failed";
+    return {
+      check: definition.check,
+      equation,
+      status,
+      expected: round2(result.expected),
+      actual: round2(result.actual),
+      difference: round2(result.actual - result.expected),
+      ...(absent.length > 0 && { missing: absent }),
+    };
+  });
+
+// digits ocr mixes up, read one for the other
+const CONFUSABLE = new Set(
+  ["0-6", "0-8", "0-9", "1-7", "2-7", "3-8", "4-9", "5-6", "5-8", "6-8", "8-9"]
+    .flatMap((pair) => [pair, pair.split("-").reverse().join("-")])
+);
+
+/**
+ * The values a printed amount could really have been, if ocr got one thing wrong:
+ * a digit misread, two digits swapped, a digit dropped or added, the decimal point
+ * in the wrong place
+ * @param {number} value
+ * @returns {Array<{value: number, reason: string, confidence: number}>}
+ */
+const misreadsOf = (value) => {
+  const printed = value.toFixed(2).replace(".", "");
+  const variants = [];
+  const add = (digits, reason, confidence) => {
+    if (!/^\d+$/.test(digits) || digits.length < 3) return;
+    const read = parseFloat(`${digits.slice(0, -2)}.${digits.slice(-2)}`);
+    if (read !== value) variants.push({ value: read, reason, confidence });
+  };
+
+  for (let i = 0; i < printed.length; i++) {
+    for (let digit = 0; digit <= 9; digit++) {
+      const was = printed[i];
+      if (String(digit) === was) continue;
+      add(
+        printed.slice(0, i) + digit + printed.slice(i + 1),
+        `${digit} read as ${was}`,
+        CONFUSABLE.has(`${digit}-${was}`) ? 0.8 : 0.6
+      );
+      // a digit ocr never saw
+      add(printed.slice(0, i) + digit + printed.slice(i), "digit dropped", 0.5);
+    }
+    add(printed.slice(0, i) + printed.slice(i + 1), "extra digit", 0.5);
+    if (i > 0 && printed[i] !== printed[i - 1]) {
+      const swapped = printed[i] + printed[i - 1];
+      add(
+        printed.slice(0, i - 1) + swapped + printed.slice(i + 1),
+        "digits swapped",
+        0.6
+      );
+    }
+  }
+  for (const shifted of [value * 10, value * 100, value / 10, value / 100]) {
+    variants.push({
+      value: round2(shifted),
+      reason: "decimal point misplaced",
+      confidence: 0.5,
+    });
+  }
+
+  // the likeliest reading of each value
+  const byValue = new Map();
+  for (const variant of variants) {
+    const seen = byValue.get(variant.value);
+    if (!seen || variant.confidence > seen.confidence) {
+      byValue.set(variant.value, variant);
+    }
+  }
+  return [...byValue.values()];
+};
+
+// the values a failed check could be fixed through, one at a time
+const fixableFields = (values, failed) => {
+  const fields = [];
+  for (const result of failed) {
+    const definition = CHECKS.find((c) => c.check === result.check);
+    for (const field of definition.uses) {
+      if (field === "line_items") {
+        values.line_items.forEach((_, i) => fields.push(`line_items.${i}`));
+      } else if (!isMissing(values, field)) {
+        fields.push(field);
+      }
+    }
+  }
+  return [...new Set(fields)];
+};
+
+const readField = (values, field) => {
+  const [name, index] = field.split(".");
+  return index === undefined ? values[name] : values[name][Number(index)];
+};
+
+const withField = (values, field, value) => {
+  const [name, index] = field.split(".");
+  if (index === undefined) return { ...values, [name]: value };
+  const list = [...values[name]];
+  list[Number(index)] = value;
+  return { ...values, [name]: list };
+};
+
+// single-value corrections that make every check balance, likeliest first. checks
+// missing a value they expect get them too, at a lower confidence and with what
+// they take to be absent (unread), a misread can't be told from a value that was
+// never read. the more fixes balance the bill, the less likely each one
+const suggestFixes = (values, results, lineItems) => {
+  const unbalanced = results.filter(
+    (r) => r.status === "failed" || r.status === "incomplete"
+  );
+  if (unbalanced.length === 0) return [];
+  const unread = [
+    ...new Set(unbalanced.flatMap((r) => (r.missing ? r.missing : []))),
+  ];
+
+  const suggestions = [];
+  for (const field of fixableFields(values, unbalanced)) {
+    const from = readField(values, field);
+    for (const misread of misreadsOf(from)) {
+      const fixed = runChecks(withField(values, field, misread.value));
+      if (
+        fixed.some((r) => r.status === "failed" || r.status === "incomplete")
+      ) {
+        continue;
+      }
+
+      const [name, index] = field.split(".");
+      const item = index !== undefined ? Number(index) : null;
+      suggestions.push({
+        field: name,
+        ...(item !== null
+          ? { line_item: item, description: lineItems[item].description }
+          : { type: FIELD_TYPES[name] }),
+        from,
+        to: misread.value,
+        reason: misread.reason,
+        confidence: misread.confidence,
+        fixes: unbalanced.map((r) => r.check),
+        ...(unread.length > 0 && { unread }),
+      });
+    }
+  }
+  // each one's likelihood is shared with the others that balance as well
+  const sum = suggestions.reduce((total, s) => total + s.confidence, 0);
+  const weight = unread.length > 0 ? INCOMPLETE_WEIGHT : 1;
+  return suggestions
+    .map((s) => ({
+      ...s,
+      confidence: round2(((s.confidence * s.confidence) / sum) * weight),
+      candidates: suggestions.length,
+    }))
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, MAX_SUGGESTIONS);
+};
+
+// a check's result without its status, the list it's in says that
+const withoutStatus = ({ status, ...result }) => result;
+
+/**
+ * Check that a bill's amounts add up: subtotal + tax - discount ± round off =
+ * total, paid + due = total, paid and due within the total, line items = subtotal,
+ * and on a settlement letter claimed - deducted = approved.
+ * When a check fails and a single misread value (one digit, a dropped digit, a
+ * shifted decimal point) would make them all balance, it is suggested as a fix.
+ * A check that doesn't add up while a value it expects (tax, discount,
+ * deductions) wasn't read is incomplete, its suggestions are less confident
+ * @param {{amounts: Array<object>, lineItems?: Array<object>,
+ *   taxBreakdown?: object}} bill - Classified amounts (every type, not only the
+ *   returned ones), the extracted line items, and the tax lines and discounts
+ *   from extractTaxBreakdown, which replace the classified tax and discount
+ * @param {string} requestId - Request ID for logging
+ * @returns {{status: string, values: object, passed: Array<object>,
+ *   failed: Array<object>, incomplete: Array<object>, skipped: Array<object>,
+ *   suggestions: Array<object>}} status is "balanced", "unbalanced",
+ *   "incomplete" (nothing failed, but some check lacks a value it expects) or
+ *   "not_checked" (no check had its values)
+ */
+const reconcileAmounts = (
+  { amounts, lineItems = [], taxBreakdown = null },
+  requestId
+) => {
+  const values = {
+    subtotal: bestValue(amounts, "subtotal"),
+    tax: taxOf(amounts, taxBreakdown),
+    discount: discountOf(amounts, taxBreakdown),
+    round_off: bestValue(amounts, "round_off"),
+    total: bestValue(amounts, "total_bill"),
+    paid: bestValue(amounts, "paid"),
+    due: bestValue(amounts, "due"),
+    claimed: bestValue(amounts, "claimed_amount"),
+    // a letter can list several deductions
+    deducted: summedValue(amounts, "deducted_amount"),
+    approved: bestValue(amounts, "approved_amount"),
+    line_items: lineItems.map((item) => item.amount),
+  };
+
+  const results = runChecks(values);
+  const passed = results.filter((r) => r.status === "passed");
+  const failed = results.filter((r) => r.status === "failed");
+  const incomplete = results.filter((r) => r.status === "incomplete");
+  const skipped = results.filter((r) => r.status === "skipped");
+  const suggestions = suggestFixes(values, results, lineItems);
+
+  let status = "not_checked";
+  if (failed.length > 0) status = "unbalanced";
+  else if (incomplete.length > 0) status = "incomplete";
+  else if (passed.length > 0) status = "balanced";
+
+  if (failed.length + incomplete.length > 0) {
+    logger.warn("Amounts don't reconcile", {
+      requestId,
+      failed: failed.map((r) => `${r.equation} (off by ${r.difference})`),
+      incomplete: incomplete.map((r) => `${r.equation} (no ${r.missing})`),
+      suggestions: suggestions.length,
+    });
+  }
+
+  const { line_items: items, claimed, deducted, approved, ...printed } =
+    values;
+  const settlement = { claimed, deducted, approved };
+  return {
+    status,
+    // the values the checks used, a settlement letter's only when it has them
+    values: {
+      ...printed,
+      ...(Object.values(settlement).some((v) => v !== null) && settlement),
+      line_items_total:
+        items.length > 0 ? round2(items.reduce((sum, a) => sum + a, 0)) : null,
+    },
+    passed: passed.map(withoutStatus),
+    failed: failed.map(withoutStatus),
+    incomplete: incomplete.map(withoutStatus),
+    skipped: skipped.map(withoutStatus),
+    suggestions,
+  };
+};
+
+module.exports = {
+  reconcileAmounts,
+};
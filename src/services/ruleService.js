@@ -0,0 +1,461 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const YAML = require("yaml");
+const { z } = require("zod");
+const config = require("../config/env");
+const logger = require("../utils/logger");
+const { AppError } = require("../middleware/errorHandler");
+const {
+  labelAmountPattern,
+  labelOnlyPattern,
+  onOneLine,
+} = require("./languageService");
+const { METADATA_FIELDS } = require("./metadataService");
+
+// placeholders pack patterns use instead of spelling these out every time
+const PLACEHOLDERS = {
+  // an optional currency: a code or "rs." (2-3 letters), or a symbol ($, us$, €, د.إ)
+  "{currency}": "(?:[a-z]{2,3}\\.?|[a-z]{0,2}[^\\w\\s]{1,3})?",
+  "{amount}": "(\\d(?:[\\d,.]*\\d)?)",
+};
+
+const PACK_EXTENSIONS = [".yaml", ".yml", ".json"];
+
+// how long file changes settle before a reload, editors write in several steps
+const RELOAD_DEBOUNCE_MS = 300;
+
+const idSchema = z
+  .string()
+  .regex(/^[a-z0-9][a-z0-9_-]*$/, "must be lowercase letters, digits, - or _");
+
+const typeSchema = z.string().regex(/^[a-z][a-z0-9_]*$/, "must be snake_case");
+
+const categorySchema = z
+  .object({
+    type: typeSchema,
+    confidence: z.number().min(0).max(1).optional(),
+    // a match in a higher priority category beats one with a higher confidence
+    priority: z.number().int().optional(),
+    patterns: z.array(z.string().min(1)).default([]),
+    labels: z.array(z.string().min(1)).default([]),
+    negative_keywords: z.array(z.string().min(1)).default([]),
+    // only read on these document types (see documentTypeService), all when unset
+    document_types: z.array(typeSchema).optional(),
+  })
+  .strict();
+
+// a kind of document (pharmacy bill, settlement letter) and how it's extracted
+const documentTypeSchema = z
+  .object({
+    type: typeSchema,
+    description: z.string().optional(),
+    // regexes, every one found in the text is a point for this type
+    signals: z.array(z.string().min(1)).default([]),
+    // the amount types the response returns, total_bill, paid, due when unset
+    returned_types: z.array(typeSchema).min(1).optional(),
+    // metadata fields and amount types a document of this type should have
+    expected_fields: z.array(typeSchema).optional(),
+    // returned amounts outside these are flagged for review
+    amount_bounds: z
+      .object({
+        min: z.number().min(0).optional(),
+        max: z.number().positive().optional(),
+      })
+      .strict()
+      .optional(),
+  })
+  .strict();
+
+const packSchema = z
+  .object({
+    name: idSchema,
+    version: z.union([z.string().min(1), z.number()]).transform(String),
+    description: z.string().optional(),
+    extends: idSchema.optional(),
+    applies_to: z
+      .object({
+        tenants: z.array(z.string().min(1)).default([]),
+        hospitals: z.array(z.string().min(1)).default([]),
+      })
+      .strict()
+      .default({}),
+    categories: z.array(categorySchema).min(1),
+    document_types: z.array(documentTypeSchema).default([]),
+  })
+  .strict();
+
+// the packs in use, swapped as a whole so a request never sees half a reload
+const state = {
+  packs: null, // Map of name -> compiled pack
+  loadedAt: null,
+  lastError: null,
+  watcher: null,
+  reloadTimer: null,
+};
+
+// turn one pattern from a pack into a regex, explaining what's wrong with it if it can't be.
+// its \s stay on one line, "total\n1" is a column header over a serial number
+const compilePattern = (pattern, where) => {
+  const amounts = pattern.split("{amount}").length - 1;
+  if (amounts !== 1) {
+    throw new Error(`${where}: needs {amount} exactly once, found ${amounts}`);
+  }
+
+  const source = Object.entries(PLACEHOLDERS).reduce(
+    (result, [placeholder, regex]) => result.split(placeholder).join(regex),
+    pattern
+  );
+  try {
+    return new RegExp(onOneLine(source), "gi");
+  } catch (error) {
+    throw new Error(`${where}: ${error.message}`);
+  }
+};
+
+// the label part of a pattern (what comes before the currency and amount), to find
+// the label printed away from its number. patterns whose label can't be split off
+// ("(?:total|{amount} total)") only match with the number right after the label
+const compileLabel = (pattern) => {
+  const end = Math.min(
+    ...Object.keys(PLACEHOLDERS).map((placeholder) => {
+      const index = pattern.indexOf(placeholder);
+      return index === -1 ? pattern.length : index;
+    })
+  );
+  const label = pattern.slice(0, end);
+  if (!/[a-z]/i.test(label)) return null;
+
+  // only at the start of a word, away from its number "total:" inside "subtotal:"
+  // is too easy to misread
+  try {
+    return new RegExp(onOneLine(`(?<![a-z])(?:${label})`), "gi");
+  } catch (error) {
+    return null;
+  }
+};
+
+// a document type signal, matched at the start of a word anywhere in the text
+const compileSignal = (signal, where) => {
+  try {
+    return new RegExp(`(?<![a-z])(?:${signal})`, "i");
+  } catch (error) {
+    throw new Error(`${where}: ${error.message}`);
+  }
+};
+
+// read and validate every pack file in the directory, without compiling anything yet
+const readPackFiles = (dir) => {
+  const files = fs
+    .readdirSync(dir)
+    .filter((file) =>
+      PACK_EXTENSIONS.includes(path.extname(file).toLowerCase())
+    )
+    .sort();
+
+  const packs = new Map();
+  for (const file of files) {
+    const source = path.join(dir, file);
+    const raw = fs.readFileSync(source, "utf8");
+
+    let data;
+    try {
+      data = file.endsWith(".json") ? JSON.parse(raw) : YAML.parse(raw);
+    } catch (error) {
+      throw new Error(`${file}: ${error.message}`);
+    }
+
+    const result = packSchema.safeParse(data);
+    if (!result.success) {
+      const issue = result.error.errors[0];
+      throw new Error(
+        `${file}: ${issue.path.join(".") || "pack"} ${issue.message}`
+      );
+    }
+
+    const pack = result.data;
+    if (packs.has(pack.name)) {
+      throw new Error(
+        `${file}: pack "${pack.name}" is already defined in ${packs.get(pack.name).file}`
+      );
+    }
+    packs.set(pack.name, { ...pack, file, raw });
+  }
+  return packs;
+};
+
+// document types and categories only name each other, amount types the pack
+// has and metadata fields that exist
+const checkDocumentTypes = (file, categories, documentTypes) => {
+  for (const category of categories.values()) {
+    const unknown = (category.documentTypes || []).find(
+      (type) => !documentTypes.has(type)
+    );
+    if (unknown) {
+      throw new Error(
+        `${file}: category ${category.type} names unknown document type "${unknown}"`
+      );
+    }
+  }
+
+  for (const documentType of documentTypes.values()) {
+    const where = `${file}: document type ${documentType.type}`;
+    const returned = (documentType.returnedTypes || []).find(
+      (type) => !categories.has(type)
+    );
+    if (returned) {
+      throw new Error(`${where} returns unknown amount type "${returned}"`);
+    }
+    const expected = documentType.expectedFields.find(
+      (field) => !categories.has(field) && !METADATA_FIELDS.includes(field)
+    );
+    if (expected) {
+      throw new Error(`${where} expects unknown field "${expected}"`);
+    }
+    const { min, max } = documentType.amountBounds;
+    if (min !== null && max !== null && min > max) {
+      throw new Error(`${where}: amount_bounds min is above max`);
+    }
+  }
+};
+
+// a pack with everything it extends folded in: categories of the same type add their
+// patterns, labels and negative keywords, and override confidence / priority if they set them
+const resolvePack = (name, definitions, resolved, chain = []) => {
+  if (resolved.has(name)) return resolved.get(name);
+  if (chain.includes(name)) {
+    throw new Error(
+      `packs extend each other in a loop: ${[...chain, name].join(" -> ")}`
+    );
+  }
+
+  const pack = definitions.get(name);
+  if (pack.extends && !definitions.has(pack.extends)) {
+    throw new Error(`${pack.file}: extends unknown pack "${pack.extends}"`);
+  }
+  const parent = pack.extends
+    ? resolvePack(pack.extends, definitions, resolved, [...chain, name])
+    : null;
+
+  const categories = new Map(
+    (parent ? parent.categories : []).map((c) => [c.type, { ...c }])
+  );
+  pack.categories.forEach((category, i) => {
+    const where = `${pack.file}: categories.${i}`;
+    const base = categories.get(category.type);
+    if (!base && category.confidence === undefined) {
+      throw new Error(`${where} (${category.type}) needs a confidence`);
+    }
+
+    const patterns = [
+      ...category.patterns.map((p, j) =>
+        compilePattern(p, `${where}.patterns.${j}`)
+      ),
+      ...(category.labels.length > 0
+        ? [labelAmountPattern(category.labels)]
+        : []),
+    ];
+    const labelPatterns = [
+      ...category.patterns.map(compileLabel).filter(Boolean),
+      ...(category.labels.length > 0
+        ? [labelOnlyPattern(category.labels)]
+        : []),
+    ];
+    categories.set(category.type, {
+      type: category.type,
+      confidence: category.confidence ?? base.confidence,
+      priority: category.priority ?? (base ? base.priority : 0),
+      patterns: [...(base ? base.patterns : []), ...patterns],
+      labelPatterns: [...(base ? base.labelPatterns : []), ...labelPatterns],
+      negativeKeywords: [
+        ...(base ? base.negativeKeywords : []),
+        ...category.negative_keywords.map((k) => k.toLowerCase()),
+      ],
+      documentTypes:
+        category.document_types ?? (base ? base.documentTypes : null),
+    });
+  });
+
+  // document types of the same type add their signals and override the rest
+  const documentTypes = new Map(
+    (parent ? parent.documentTypes : []).map((d) => [d.type, { ...d }])
+  );
+  pack.document_types.forEach((documentType, i) => {
+    const where = `${pack.file}: document_types.${i}`;
+    const base = documentTypes.get(documentType.type);
+    if (!base && documentType.signals.length === 0) {
+      throw new Error(`${where} (${documentType.type}) needs signals`);
+    }
+
+    const bounds = documentType.amount_bounds;
+    documentTypes.set(documentType.type, {
+      type: documentType.type,
+      description:
+        documentType.description ?? (base ? base.description : null),
+      signals: [
+        ...(base ? base.signals : []),
+        ...documentType.signals.map((signal, j) =>
+          compileSignal(signal, `${where}.signals.${j}`)
+        ),
+      ],
+      returnedTypes:
+        documentType.returned_types ?? (base ? base.returnedTypes : null),
+      expectedFields:
+        documentType.expected_fields ?? (base ? base.expectedFields : []),
+      amountBounds: bounds
+        ? { min: bounds.min ?? null, max: bounds.max ?? null }
+        : base
+          ? base.amountBounds
+          : { min: null, max: null },
+    });
+  });
+  checkDocumentTypes(pack.file, categories, documentTypes);
+
+  const compiled = {
+    name: pack.name,
+    version: pack.version,
+    // changes whenever the file, or anything it extends, changes
+    checksum: crypto
+      .createHash("sha256")
+      .update((parent ? parent.checksum : "") + pack.raw)
+      .digest("hex")
+      .slice(0, 12),
+    description: pack.description || null,
+    file: pack.file,
+    extends: pack.extends || null,
+    appliesTo: pack.applies_to,
+    categories: [...categories.values()],
+    documentTypes: [...documentTypes.values()],
+  };
+  resolved.set(name, compiled);
+  return compiled;
+};
+
+/**
+ * Load, validate and compile every rule pack in RULES_PATH. Nothing changes when a
+ * pack is invalid: the error says which file and field, the packs in use stay
+ * @returns {Map<string, object>} The packs now in use, by name
+ */
+const loadRulePacks = () => {
+  const definitions = readPackFiles(config.rulesPath);
+  if (!definitions.has(config.rulesDefaultPack)) {
+    throw new Error(
+      `default rule pack "${config.rulesDefaultPack}" not found in ${config.rulesPath}`
+    );
+  }
+
+  const resolved = new Map();
+  for (const name of definitions.keys()) {
+    resolvePack(name, definitions, resolved);
+  }
+
+  state.packs = resolved;
+  state.loadedAt = new Date().toISOString();
+  state.lastError = null;
+  logger.info("Rule packs loaded", {
+    packs: [...resolved.values()].map((p) => `${p.name}@${p.version}`),
+  });
+  return resolved;
+};
+
+/**
+ * Reload the packs from disk, keeping the current ones when the new files are invalid
+ * @returns {object} listRulePacks() after the reload
+ */
+const reloadRulePacks = () => {
+  try {
+    loadRulePacks();
+  } catch (error) {
+    state.lastError = error.message;
+    logger.error("Rule packs not reloaded, keeping the current ones", {
+      error: error.message,
+    });
+    throw new AppError(
+      `Rule packs not reloaded: ${error.message}`,
+      422,
+      "invalid_rule_pack"
+    );
+  }
+  return listRulePacks();
+};
+
+// reload when a pack file is added, edited or removed
+const watchRulePacks = () => {
+  if (state.watcher) return;
+
+  // not persistent, watching alone shouldn't keep the process running
+  state.watcher = fs.watch(config.rulesPath, { persistent: false }, () => {
+    clearTimeout(state.reloadTimer);
+    state.reloadTimer = setTimeout(() => {
+      try {
+        reloadRulePacks();
+      } catch (error) {
+        // already logged, the previous packs stay in use
+      }
+    }, RELOAD_DEBOUNCE_MS);
+  });
+  state.watcher.on("error", (error) => {
+    logger.error("Rule pack watcher failed", { error: error.message });
+  });
+};
+
+const unwatchRulePacks = () => {
+  clearTimeout(state.reloadTimer);
+  if (state.watcher) state.watcher.close();
+  state.watcher = null;
+};
+
+/**
+ * The pack for a document: the one naming its hospital, else its tenant, else the default
+ * @param {{tenantId?: string, hospitalId?: string}} selection
+ * @returns {object} Compiled pack (name, version, checksum, categories)
+ */
+const selectRulePack = ({ tenantId, hospitalId } = {}) => {
+  // scripts using the services directly never went through server startup
+  if (!state.packs) loadRulePacks();
+
+  const packs = [...state.packs.values()];
+  const forHospital =
+    hospitalId && packs.find((p) => p.appliesTo.hospitals.includes(hospitalId));
+  const forTenant =
+    tenantId && packs.find((p) => p.appliesTo.tenants.includes(tenantId));
+  return forHospital || forTenant || state.packs.get(config.rulesDefaultPack);
+};
+
+// which pack classified a document, for the response
+const describeRulePack = (pack) => ({
+  name: pack.name,
+  version: pack.version,
+  checksum: pack.checksum,
+});
+
+// every pack in use with its version, and how the last reload went
+const listRulePacks = () => {
+  if (!state.packs) loadRulePacks();
+
+  return {
+    default_pack: config.rulesDefaultPack,
+    loaded_at: state.loadedAt,
+    last_error: state.lastError,
+    watching: !!state.watcher,
+    packs: [...state.packs.values()].map((pack) => ({
+      ...describeRulePack(pack),
+      description: pack.description,
+      file: pack.file,
+      extends: pack.extends,
+      applies_to: pack.appliesTo,
+      categories: pack.categories.map((c) => c.type),
+      document_types: pack.documentTypes.map((d) => d.type),
+    })),
+  };
+};
+
+module.exports = {
+  loadRulePacks,
+  reloadRulePacks,
+  watchRulePacks,
+  unwatchRulePacks,
+  selectRulePack,
+  describeRulePack,
+  listRulePacks,
+};
@@ -0,0 +1,317 @@
+const logger = require("../utils/logger");
+const { parseNumber } = require("./numberFormatService");
+const { textGrid, layoutGrid, findNumbers } = require("./layoutService");
+
+// one unit of rounding slack, like reconciliation
+const TOLERANCE = 1;
+
+// what may follow a tax's name in its label: "amount", a rate ("@ 9%") and a
+// separator, nothing else. "gst is included in total amount paid amount" isn't
+// a tax line
+const LABEL_END =
+  "\\s*(?:amount|amt)?\\s*(?:@?\\s*\\d+(?:\\.\\d+)?\\s*%)?\\s*[:\\-]?$";
+
+const taxLabel = (name) => new RegExp(`^(?:${name})${LABEL_END}`);
+
+// tax lines by their label, the split gst components first
+const COMPONENTS = [
+  {
+    component: "cgst",
+    pattern: taxLabel("c\\.?\\s*gst|central\\s+(?:gst|tax)"),
+  },
+  { component: "sgst", pattern: taxLabel("s\\.?\\s*gst|state\\s+(?:gst|tax)") },
+  { component: "utgst", pattern: taxLabel("ut\\.?\\s*gst") },
+  {
+    component: "igst",
+    pattern: taxLabel("i\\.?\\s*gst|integrated\\s+(?:gst|tax)"),
+  },
+  // "cess", "kerala flood cess", "compensation cess"
+  { component: "cess", pattern: taxLabel("(?:[a-z]+\\s+){0,2}cess") },
+  { component: "vat", pattern: taxLabel("vat") },
+  { component: "service_tax", pattern: taxLabel("service\\s*tax") },
+  { component: "gst", pattern: taxLabel("gst") },
+  { component: "tax", pattern: taxLabel("tax(?:es)?") },
+];
+
+// the components gst is split into, a plain "gst" line next to them is their sum
+const SPLIT_GST = ["cgst", "sgst", "utgst", "igst"];
+
+// registration numbers, "gst no: 27aapfu0939f1zv" isn't a tax line
+const REGISTRATION_ROW =
+  /^(?:gst(?:in)?|vat|tin)\s*(?:reg(?:istration)?\.?\s*)?(?:no|number|in|#)\b/;
+const TAX_TOTAL_ROW = /^(?:total\s+(?:gst|tax(?:es)?)|(?:gst|tax)\s+total)\b/;
+const TAXABLE_ROW = /^taxable\s*(?:value|amount|amt)?\b/;
+const DISCOUNT_ROW = /^(?:less\s*[:\-]?\s*)?(?:discount|concession|rebate)\b/;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const close = (a, b) => Math.abs(a - b) <= TOLERANCE;
+
+const sum = (values) => round2(values.reduce((total, v) => total + v, 0));
+
+// the most confident classified value of a type
+const bestValue = (amounts, type) => {
+  const best = amounts
+    .filter((a) => a.type === type)
+    .reduce((b, a) => (!b || a.confidence > b.confidence ? a : b), null);
+  return best ? best.value : null;
+};
+
+// each row as its label (the words before the first number) and its numbers, split
+// into rates ("9%", "@ 9") and money
+const readRows = (grid, numberFormat) => {
+  const numbers = findNumbers(grid);
+  return grid.rows.map((row, index) => {
+    const onRow = numbers.filter((n) => n.row === index);
+    const labelEnd = onRow.length > 0 ? onRow[0].start : row.end;
+    const rates = [];
+    const money = [];
+
+    for (const number of onRow) {
+      const value = round2(parseNumber(number.printed, numberFormat));
+      const after = grid.text.slice(number.end, number.end + 2);
+      const before = grid.text.slice(
+        Math.max(row.start, number.start - 2),
+        number.start
+      );
+      if (/^\s?%/.test(after) || /@\s?$/.test(before)) rates.push(value);
+      else money.push(value);
+    }
+
+    return {
+      label: grid.text
+        .slice(row.start, labelEnd)
+        .replace(/[\s:：\-@(]+$/, "")
+        .trim(),
+      rates,
+      money,
+    };
+  });
+};
+
+// what a rate applies to when its line doesn't print it: the taxable value row, the
+// subtotal (less discounts), or the line items, first one whose rate adds up
+const taxableCandidates = ({ taxableRow, subtotal, discount, itemsTotal }) =>
+  [
+    taxableRow !== null && { value: taxableRow, source: "taxable_row" },
+    subtotal !== null &&
+      discount > 0 && {
+        value: round2(subtotal - discount),
+        source: "subtotal_less_discount",
+      },
+    subtotal !== null && { value: subtotal, source: "subtotal" },
+    itemsTotal !== null && { value: itemsTotal, source: "line_items" },
+  ].filter(Boolean);
+
+// one tax line with its rate checked against the value it was charged on
+const readComponent = (component, row, candidates) => {
+  const rate = row.rates.length > 0 ? row.rates[0] : null;
+  const printed = row.money.length > 0 ? row.money[row.money.length - 1] : null;
+  // "cgst 9% on 500.00   45.00" prints what it was charged on
+  const onRow = row.money.length > 1 ? row.money[row.money.length - 2] : null;
+  const options =
+    onRow !== null ? [{ value: onRow, source: "printed" }] : candidates;
+
+  const expectedOn = (option) => round2((option.value * rate) / 100);
+  const taxable =
+    rate === null || options.length === 0
+      ? null
+      : (printed !== null &&
+          options.find((option) => close(expectedOn(option), printed))) ||
+        options[0];
+  const expected = taxable ? expectedOn(taxable) : null;
+
+  return {
+    component,
+    label: row.label,
+    rate,
+    amount: printed !== null ? printed : expected,
+    amount_source: printed !== null ? "printed" : "computed",
+    taxable_value: taxable ? taxable.value : null,
+    taxable_source: taxable ? taxable.source : null,
+    expected_amount: expected,
+    // null when there's no rate, or nothing it could apply to
+    matches:
+      printed !== null && expected !== null ? close(expected, printed) : null,
+  };
+};
+
+// a discount line, a percentage resolved to an amount on the subtotal or items
+const readDiscount = (row, { subtotal, itemsTotal }) => {
+  const rate = row.rates.length > 0 ? row.rates[0] : null;
+  const printed = row.money.length > 0 ? row.money[row.money.length - 1] : null;
+  const base =
+    subtotal !== null
+      ? { value: subtotal, source: "subtotal" }
+      : itemsTotal !== null
+        ? { value: itemsTotal, source: "line_items" }
+        : null;
+  const expected =
+    rate !== null && base ? round2((base.value * rate) / 100) : null;
+
+  return {
+    label: row.label,
+    rate,
+    amount: printed !== null ? printed : expected,
+    amount_source: printed !== null ? "printed" : "computed",
+    base: rate !== null && base ? base.value : null,
+    base_source: rate !== null && base ? base.source : null,
+    expected_amount: expected,
+    matches:
+      printed !== null && expected !== null ? close(expected, printed) : null,
+  };
+};
+
+// the tax structure makes sense: intra-state cgst and sgst come as an equal pair,
+// inter-state igst comes alone
+const structureWarnings = (components) => {
+  const warnings = [];
+  const find = (name) => components.find((c) => c.component === name);
+  const cgst = find("cgst");
+  const stateTax = find("sgst") || find("utgst");
+  const igst = find("igst");
+
+  if (cgst && !stateTax) warnings.push("CGST charged without SGST / UTGST");
+  if (stateTax && !cgst) {
+    warnings.push(`${stateTax.component.toUpperCase()} charged without CGST`);
+  }
+  if (
+    cgst &&
+    stateTax &&
+    cgst.rate !== null &&
+    stateTax.rate !== null &&
+    cgst.rate !== stateTax.rate
+  ) {
+    warnings.push(
+      `CGST and ${stateTax.component.toUpperCase()} rates differ (${cgst.rate}% / ${stateTax.rate}%)`
+    );
+  }
+  if (igst && (cgst || stateTax)) {
+    warnings.push("IGST charged along with CGST / SGST");
+  }
+
+  for (const c of components.filter((c) => c.matches === false)) {
+    warnings.push(
+      `${c.component.toUpperCase()}: ${c.rate}% of ${c.taxable_value} is ${c.expected_amount}, printed ${c.amount}`
+    );
+  }
+  return warnings;
+};
+
+/**
+ * Read the bill's tax lines (cgst, sgst, utgst, igst, cess, vat, ...) with their
+ * rates, checking rate x taxable value against each printed amount, and its
+ * discounts, percentages resolved to amounts
+ * @param {{layout?: Array<object>, text?: string, numberFormat?: string,
+ *   amounts?: Array<object>, lineItems?: Array<object>}} bill - Word boxes for
+ *   files, else the text; classified amounts and line items give the subtotal a
+ *   rate applies to when its line doesn't print it
+ * @param {string} requestId - Request ID for logging
+ * @returns {{taxes: object, discounts: Array<object>}} taxes holds the components,
+ *   their total, the printed total and warnings
+ */
+const extractTaxBreakdown = (
+  { layout, text, numberFormat = "auto", amounts = [], lineItems = [] },
+  requestId
+) => {
+  const grid =
+    layout && layout.length > 0 ? layoutGrid(layout) : textGrid(text || "");
+  const rows = readRows(grid, numberFormat).filter((row) => row.label);
+
+  const lastMoney = (row) =>
+    row.money.length > 0 ? row.money[row.money.length - 1] : null;
+  const taxableRow = rows.find((row) => TAXABLE_ROW.test(row.label));
+  const subtotal = bestValue(amounts, "subtotal");
+  const itemsTotal =
+    lineItems.length > 0 ? sum(lineItems.map((item) => item.amount)) : null;
+
+  const discounts = rows
+    .filter(
+      (row) =>
+        DISCOUNT_ROW.test(row.label) && row.money.length + row.rates.length > 0
+    )
+    .map((row) => readDiscount(row, { subtotal, itemsTotal }));
+
+  const candidates = taxableCandidates({
+    taxableRow: taxableRow ? lastMoney(taxableRow) : null,
+    subtotal,
+    discount: sum(discounts.map((d) => d.amount || 0)),
+    itemsTotal,
+  });
+
+  const taxRows = rows
+    .filter(
+      (row) =>
+        !TAX_TOTAL_ROW.test(row.label) &&
+        !TAXABLE_ROW.test(row.label) &&
+        !REGISTRATION_ROW.test(row.label)
+    )
+    .map((row) => ({
+      row,
+      entry: COMPONENTS.find((c) => c.pattern.test(row.label)),
+    }))
+    .filter(
+      ({ row, entry }) => entry && row.money.length + row.rates.length > 0
+    );
+
+  // next to cgst / sgst / igst lines, a plain gst or tax line is their total
+  const split = taxRows.some(({ entry }) =>
+    SPLIT_GST.includes(entry.component)
+  );
+  const components = taxRows
+    .filter(({ entry }) => !split || !["gst", "tax"].includes(entry.component))
+    .map(({ row, entry }) => readComponent(entry.component, row, candidates));
+
+  const summaryRow = split
+    ? taxRows.find(({ entry }) => ["gst", "tax"].includes(entry.component))
+    : null;
+  const totalRow =
+    rows.find((row) => TAX_TOTAL_ROW.test(row.label)) ||
+    (summaryRow ? summaryRow.row : null);
+  const printedTotal = totalRow ? lastMoney(totalRow) : null;
+  const totalTax =
+    components.length > 0
+      ? sum(components.map((c) => c.amount).filter((a) => a !== null))
+      : null;
+
+  const warnings = structureWarnings(components);
+  if (
+    printedTotal !== null &&
+    totalTax !== null &&
+    !close(printedTotal, totalTax)
+  ) {
+    warnings.push(
+      `Tax lines add up to ${totalTax} but the tax total is ${printedTotal}`
+    );
+  }
+  for (const d of discounts.filter((d) => d.matches === false)) {
+    warnings.push(
+      `Discount: ${d.rate}% of ${d.base} is ${d.expected_amount}, printed ${d.amount}`
+    );
+  }
+
+  logger.info("Tax breakdown extracted", {
+    requestId,
+    components: components.map((c) => c.component),
+    discounts: discounts.length,
+    warnings: warnings.length,
+  });
+
+  return {
+    taxes: {
+      components,
+      total_tax: totalTax,
+      printed_total: printedTotal,
+      total_matches:
+        printedTotal !== null && totalTax !== null
+          ? close(printedTotal, totalTax)
+          : null,
+      warnings,
+    },
+    discounts,
+  };
+};
+
+module.exports = {
+  extractTaxBreakdown,
+};
@@ -0,0 +1,28 @@
+/**
+ * Record of the decisions one extraction made, for explain mode: every token kept
+ * or dropped and the rule behind it, every fix normalization made, every label
+ * classification weighed. Stages report to it whether explain is on or not, a
+ * trace that's off keeps nothing
+ * @param {{enabled?: boolean}} options
+ * @returns {{enabled: boolean, add: Function, report: Function}} enabled lets a stage
+ *   skip work only the trace would use
+ */
+const createTrace = ({ enabled = false } = {}) => {
+  const stages = {};
+
+  return {
+    enabled,
+    // one decision in a stage, kept in the order they're added
+    add: (stage, entry) => {
+      if (!enabled) return;
+      if (!stages[stage]) stages[stage] = [];
+      stages[stage].push(entry);
+    },
+    // every stage's decisions, null when explain is off
+    report: () => (enabled ? stages : null),
+  };
+};
+
+module.exports = {
+  createTrace,
+};
@@ -0,0 +1,283 @@
+const crypto = require("crypto");
+const dns = require("dns");
+const fs = require("fs");
+const net = require("net");
+const path = require("path");
+const { z } = require("zod");
+const config = require("../config/env");
+const logger = require("../utils/logger");
+const { AppError } = require("../middleware/errorHandler");
+const { tokensMatch } = require("../middleware/requireOperator");
+
+// deliveries that used up every attempt, newest last (also appended to the dead-letter file)
+const deadLetters = [];
+const MAX_DEAD_LETTERS_IN_MEMORY = 100;
+
+// addresses a callback must not reach: loopback, private networks, link-local
+// (cloud metadata at 169.254.169.254), carrier nat, multicast and reserved
+const PRIVATE_NETWORKS = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.168.0.0", 16],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  PRIVATE_NETWORKS.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 127], // unspecified and loopback
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  PRIVATE_NETWORKS.addSubnet(network, prefix, "ipv6");
+}
+
+const isPrivateAddress = (address) => {
+  // ipv4 mapped ipv6 ("::ffff:127.0.0.1") is checked as the ipv4 address
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return PRIVATE_NETWORKS.check(mapped[1], "ipv4");
+  const family = net.isIP(address);
+  return family !== 0 && PRIVATE_NETWORKS.check(address, `ipv${family}`);
+};
+
+// url hostname without the brackets around ipv6 addresses
+const hostOf = (url) => new URL(url).hostname.replace(/^\[|\]$/g, "").toLowerCase();
+
+// WEBHOOK_ALLOWED_HOSTS entries are exact hosts, "*.example.in" also takes subdomains
+const isAllowedHost = (host) =>
+  config.webhookAllowedHosts.length === 0 ||
+  config.webhookAllowedHosts.some((allowed) =>
+    allowed.startsWith("*.")
+      ? host.endsWith(allowed.slice(1)) || host === allowed.slice(2)
+      : host === allowed
+  );
+
+const callbackUrlSchema = z
+  .string()
+  .url("callback_url must be a valid URL")
+  .refine((url) => /^https?:\/\//i.test(url), "callback_url must be http or https")
+  .refine(
+    (url) => isAllowedHost(hostOf(url)),
+    "callback_url host is not in WEBHOOK_ALLOWED_HOSTS"
+  )
+  .refine((url) => {
+    const host = hostOf(url);
+    return !(host === "localhost" || host.endsWith(".localhost") || isPrivateAddress(host));
+  }, "callback_url must not point at a loopback, private or link-local address");
+
+// urls registered in WEBHOOK_CLIENTS are the operator's own and may be internal.
+// only a client that sent its token gets one, a callback_url is always checked
+const isRegisteredUrl = (url) => Object.values(config.webhookClients).includes(url);
+
+// 4xx means the receiver rejected the payload, retrying won't change that (except these)
+const isRetryable = (statusCode) =>
+  statusCode === undefined ||
+  statusCode >= 500 ||
+  statusCode === 408 ||
+  statusCode === 429;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Sign a webhook body. Receivers recompute this over `${timestamp}.${body}` and
+ * reject old timestamps to stop replays
+ * @param {string} body - Raw JSON body as sent
+ * @param {string|number} timestamp - Unix seconds, sent in X-Webhook-Timestamp
+ * @param {string} secret - Shared secret (WEBHOOK_SECRET)
+ * @returns {string} "sha256=<hex>", sent in X-Webhook-Signature
+ */
+const signPayload = (body, timestamp, secret = config.webhookSecret) =>
+  "sha256=" +
+  crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+
+/**
+ * Pick the callback for a request: an explicit callback_url, otherwise the URL
+ * registered for the API client (X-Client-Id header, see WEBHOOK_CLIENTS). A
+ * client picks its URL only with its X-Client-Token (WEBHOOK_CLIENT_TOKENS),
+ * else anyone could have signed results sent to it
+ * @param {string|undefined} callbackUrl - callback_url field from the request
+ * @param {{id?: string, token?: string}} client - X-Client-Id and X-Client-Token headers
+ * @returns {string|null} URL to notify, null when the request doesn't want a callback
+ */
+const resolveCallbackUrl = (callbackUrl, client = {}) => {
+  const registered = !callbackUrl && client.id && config.webhookClients[client.id];
+  const url = callbackUrl || registered || null;
+  if (!url) return null;
+
+  if (!config.webhookSecret) {
+    throw new AppError(
+      "Webhooks are not configured on this server (WEBHOOK_SECRET missing)",
+      400,
+      "webhooks_disabled"
+    );
+  }
+
+  if (registered) {
+    if (!tokensMatch(client.token, config.webhookClientTokens[client.id])) {
+      throw new AppError(
+        "Missing or wrong X-Client-Token for this X-Client-Id",
+        401,
+        "unauthorized"
+      );
+    }
+    return url;
+  }
+
+  const result = callbackUrlSchema.safeParse(url);
+  if (!result.success) {
+    throw new AppError(result.error.errors[0].message, 400, "invalid_callback_url");
+  }
+  return url;
+};
+
+// keep a record of deliveries that never made it, so they can be replayed by hand
+const recordDeadLetter = (entry) => {
+  deadLetters.push(entry);
+  if (deadLetters.length > MAX_DEAD_LETTERS_IN_MEMORY) deadLetters.shift();
+
+  try {
+    fs.mkdirSync(path.dirname(config.webhookDeadLetterPath), { recursive: true });
+    fs.appendFileSync(config.webhookDeadLetterPath, JSON.stringify(entry) + "\n");
+  } catch (error) {
+    logger.error("Failed to write webhook dead letter", {
+      requestId: entry.request_id,
+      error: error.message,
+    });
+  }
+};
+
+// a callback host that resolves to a private address is refused before each POST,
+// the name may have changed since the job was submitted
+const checkResolvedHost = async (url) => {
+  if (isRegisteredUrl(url)) return;
+  const addresses = await dns.promises.lookup(hostOf(url), { all: true });
+  const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+  if (blocked) {
+    const error = new Error(
+      `callback host resolves to a private address (${blocked.address})`
+    );
+    error.retryable = false;
+    throw error;
+  }
+};
+
+// one POST, resolves with the status code or throws on network errors / timeouts.
+// redirects aren't followed, they could lead anywhere
+const postOnce = async (url, body, headers) => {
+  await checkResolvedHost(url);
+  const response = await fetch(url, {
+    method: "POST",
+    headers,
+    body,
+    redirect: "manual",
+    signal: AbortSignal.timeout(config.webhookTimeoutMs),
+  });
+  // drain the body so the connection can be reused
+  await response.arrayBuffer().catch(() => {});
+  return response.status;
+};
+
+/**
+ * POST a payload to a callback URL, signed, retrying with exponential backoff.
+ * Never throws: the outcome is written to `delivery` and failures end up in the
+ * dead-letter record
+ * @param {{url: string, event: string, payload: object, jobId: string, requestId: string}} options
+ * @param {object} delivery - State object updated as attempts are made (status, attempts, ...)
+ * @returns {Promise<object>} The delivery state once finished
+ */
+const deliverWebhook = async (
+  { url, event, payload, jobId, requestId },
+  delivery = {}
+) => {
+  const deliveryId = crypto.randomUUID();
+  const body = JSON.stringify(payload);
+
+  Object.assign(delivery, { delivery_id: deliveryId, status: "pending", attempts: 0 });
+
+  for (let attempt = 1; attempt <= config.webhookMaxAttempts; attempt++) {
+    // a fresh timestamp per attempt, receivers check it against their clock
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = {
+      "Content-Type": "application/json",
+      "User-Agent": "plum-ocr-webhooks/1.0",
+      "X-Webhook-Id": deliveryId,
+      "X-Webhook-Event": event,
+      "X-Webhook-Timestamp": String(timestamp),
+      "X-Webhook-Signature": signPayload(body, timestamp),
+      "X-Job-Id": jobId,
+    };
+
+    let statusCode;
+    let errorMessage;
+    let retryable = true;
+    try {
+      statusCode = await postOnce(url, body, headers);
+    } catch (error) {
+      errorMessage = error.name === "TimeoutError" ? "timed out" : error.message;
+      retryable = error.retryable !== false;
+    }
+
+    delivery.attempts = attempt;
+    delivery.last_attempt_at = new Date().toISOString();
+    delivery.last_status_code = statusCode || null;
+
+    if (statusCode >= 200 && statusCode < 300) {
+      delivery.status = "delivered";
+      logger.info("Webhook delivered", { requestId, jobId, url, attempt });
+      return delivery;
+    }
+
+    delivery.last_error = errorMessage || `HTTP ${statusCode}`;
+    logger.warn("Webhook delivery failed", {
+      requestId,
+      jobId,
+      url,
+      attempt,
+      error: delivery.last_error,
+    });
+
+    if (
+      !retryable ||
+      !isRetryable(statusCode) ||
+      attempt === config.webhookMaxAttempts
+    ) {
+      break;
+    }
+    await sleep(config.webhookRetryBaseMs * 2 ** (attempt - 1));
+  }
+
+  delivery.status = "failed";
+  recordDeadLetter({
+    delivery_id: deliveryId,
+    job_id: jobId,
+    request_id: requestId,
+    event,
+    url,
+    attempts: delivery.attempts,
+    last_status_code: delivery.last_status_code,
+    last_error: delivery.last_error,
+    failed_at: new Date().toISOString(),
+    payload,
+  });
+  logger.error("Webhook moved to dead letter", { requestId, jobId, url });
+
+  return delivery;
+};
+
+// most recent failed deliveries, newest first. only what happened to each delivery,
+// the payloads (extracted bills) stay in the dead-letter file
+const getDeadLetters = () =>
+  [...deadLetters].reverse().map(({ payload, ...delivery }) => delivery);
+
+module.exports = {
+  signPayload,
+  resolveCallbackUrl,
+  deliverWebhook,
+  getDeadLetters,
+};
@@ -0,0 +1,48 @@
+// server-sent events helpers for streaming pipeline progress
+
+// comment lines sent while a long stage runs, so proxies don't close an idle stream
+const HEARTBEAT_MS = 15000;
+
+// true when the client asked for a stream (Accept: text/event-stream or ?stream=true)
+const wantsEventStream = (req) =>
+  req.query.stream === "true" ||
+  (req.get("accept") || "").includes("text/event-stream");
+
+/**
+ * Switch a response to an event stream
+ * @param {object} res - Express response
+ * @returns {{send: Function, close: Function}} send(event, data) writes one event,
+ *   close() ends the stream; both do nothing once the client has gone away
+ */
+const openEventStream = (res) => {
+  res.status(200);
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no"); // nginx would otherwise hold events back
+  res.flushHeaders();
+
+  const isOpen = () => !res.writableEnded && !res.destroyed;
+  const heartbeat = setInterval(() => {
+    if (isOpen()) res.write(": heartbeat\n\n");
+  }, HEARTBEAT_MS);
+
+  const send = (event, data) => {
+    if (!isOpen()) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const close = () => {
+    clearInterval(heartbeat);
+    if (isOpen()) res.end();
+  };
+
+  res.on("close", () => clearInterval(heartbeat));
+
+  return { send, close };
+};
+
+module.exports = {
+  wantsEventStream,
+  openEventStream,
+};
@@ -28,6 +28,83 @@ const fileInputSchema = z.object({
     ),
 });
 
+// per-request review threshold, arrives as a string from multipart forms
+const reviewThresholdSchema = z.coerce
+  .number({ invalid_type_error: "review_threshold must be a number" })
+  .min(0, "review_threshold must be between 0 and 1")
+  .max(1, "review_threshold must be between 0 and 1");
+
+// per-request number format, see numberFormatService
+const numberFormatSchema = z.enum(["auto", "indian", "western", "european"], {
+  errorMap: () => ({
+    message: "number_format must be auto, indian, western or european",
+  }),
+});
+
+// per-request ocr languages: auto, or some of the ones the workers load (OCR_LANGUAGES)
+const loadedLanguages = config.ocrLanguages.split("+").filter(Boolean);
+const languagesMessage = `languages must be auto or a + separated list of: ${loadedLanguages.join(", ")}`;
+const languagesSchema = z
+  .string({ invalid_type_error: languagesMessage })
+  .refine(
+    (value) =>
+      value === "auto" ||
+      value.split("+").every((lang) => loadedLanguages.includes(lang)),
+    { message: languagesMessage }
+  );
+
+// per-request tenant / hospital ids, pick the classification rule pack (see ruleService)
+const ruleSelectionSchema = z.object({
+  tenant_id: z
+    .string({ invalid_type_error: "tenant_id must be a string" })
+    .max(100, "tenant_id must be at most 100 characters")
+    .optional(),
+  hospital_id: z
+    .string({ invalid_type_error: "hospital_id must be a string" })
+    .max(100, "hospital_id must be at most 100 characters")
+    .optional(),
+});
+
+// explain mode, true / false from json or "true" / "false" from multipart forms
+const explainSchema = z.union(
+  [z.boolean(), z.enum(["true", "false"]).transform((v) => v === "true")],
+  { errorMap: () => ({ message: "explain must be true or false" }) }
+);
+
+// the layout step 1 returns: pages of lines, each line and word with its box
+const layoutMessage = "layout must be the array returned by Step 1";
+const boxSchema = z.object({
+  x0: z.number(),
+  y0: z.number(),
+  x1: z.number(),
+  y1: z.number(),
+});
+const layoutSchema = z.array(
+  z
+    .object({
+      page: z.number(),
+      lines: z.array(
+        z
+          .object({
+            text: z.string(),
+            bbox: boxSchema,
+            words: z.array(
+              z
+                .object({
+                  text: z.string(),
+                  bbox: boxSchema,
+                  confidence: z.number().optional(),
+                })
+                .passthrough()
+            ),
+          })
+          .passthrough()
+      ),
+    })
+    .passthrough(),
+  { errorMap: () => ({ message: layoutMessage }) }
+);
+
 // check if text is valid and not too long
 const validateText = (text) => {
   try {
@@ -78,8 +155,144 @@ const validateInput = (text, file) => {
   return { success: true };
 };
 
+// check the optional review threshold, undefined means use the configured default
+const validateReviewThreshold = (value) => {
+  if (value === undefined || value === null || value === "") {
+    return { success: true, data: null };
+  }
+
+  try {
+    return { success: true, data: reviewThresholdSchema.parse(value) };
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return { success: false, error: error.errors[0].message };
+    }
+    return { success: false, error: "review_threshold validation failed" };
+  }
+};
+
+// check the optional number format, undefined means use the configured one
+const validateNumberFormat = (value) => {
+  if (value === undefined || value === null || value === "") {
+    return { success: true, data: null };
+  }
+
+  try {
+    return { success: true, data: numberFormatSchema.parse(value) };
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return { success: false, error: error.errors[0].message };
+    }
+    return { success: false, error: "number_format validation failed" };
+  }
+};
+
+// check the optional ocr languages, null means auto (every loaded language, then the detected ones)
+const validateLanguages = (value) => {
+  if (value === undefined || value === null || value === "") {
+    return { success: true, data: null };
+  }
+
+  try {
+    const languages = languagesSchema.parse(value);
+    return { success: true, data: languages === "auto" ? null : languages };
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return { success: false, error: error.errors[0].message };
+    }
+    return { success: false, error: "languages validation failed" };
+  }
+};
+
+// check the optional tenant_id / hospital_id, empty ones count as not set
+const validateRuleSelection = (body) => {
+  try {
+    const { tenant_id, hospital_id } = ruleSelectionSchema.parse({
+      tenant_id: (body && body.tenant_id) || undefined,
+      hospital_id: (body && body.hospital_id) || undefined,
+    });
+    return {
+      success: true,
+      data: { tenantId: tenant_id || null, hospitalId: hospital_id || null },
+    };
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return { success: false, error: error.errors[0].message };
+    }
+    return { success: false, error: "tenant_id / hospital_id validation failed" };
+  }
+};
+
+// check the optional explain flag, off unless set
+const validateExplain = (value) => {
+  if (value === undefined || value === null || value === "") {
+    return { success: true, data: false };
+  }
+
+  try {
+    return { success: true, data: explainSchema.parse(value) };
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return { success: false, error: error.errors[0].message };
+    }
+    return { success: false, error: "explain validation failed" };
+  }
+};
+
+// check the optional document type, null means detect it. types are the ones
+// the rule pack defines, and "unknown" for the default profile
+const validateDocumentType = (value, types) => {
+  if (value === undefined || value === null || value === "") {
+    return { success: true, data: null };
+  }
+
+  try {
+    const schema = z.enum(types, {
+      errorMap: () => ({
+        message: `document_type must be one of: ${types.join(", ")}`,
+      }),
+    });
+    return { success: true, data: schema.parse(value) };
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return { success: false, error: error.errors[0].message };
+    }
+    return { success: false, error: "document_type validation failed" };
+  }
+};
+
+// check the optional layout, undefined means classify from the text alone
+const validateLayout = (value) => {
+  if (value === undefined) {
+    return { success: true, data: undefined };
+  }
+
+  try {
+    return { success: true, data: layoutSchema.parse(value) };
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      const issue = error.errors[0];
+      return {
+        success: false,
+        error:
+          issue.path.length > 0
+            ? `${layoutMessage} (layout.${issue.path.join(".")}: ${issue.message})`
+            : layoutMessage,
+      };
+    }
+    return { success: false, error: "layout validation failed" };
+  }
+};
+
 module.exports = {
   validateText,
   validateFile,
   validateInput,
+  validateReviewThreshold,
+  validateNumberFormat,
+  validateLanguages,
+  validateRuleSelection,
+  validateExplain,
+  validateDocumentType,
+  validateLayout,
 };